@@ -1,9 +1,15 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { StyleSheet, View } from 'react-native';
 import AppNavigator from './src/navigation/AppNavigator';
+import { resumeExportQueue } from './src/utils/exportQueue';
 
 export default function App() {
+  // Continue exports that were interrupted when the app last closed
+  useEffect(() => {
+    resumeExportQueue();
+  }, []);
+
   return (
     <View style={styles.container}>
       <StatusBar style="auto" />
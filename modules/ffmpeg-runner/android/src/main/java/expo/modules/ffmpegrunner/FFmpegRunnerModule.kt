@@ -0,0 +1,63 @@
+package expo.modules.ffmpegrunner
+
+import com.arthenica.ffmpegkit.FFmpegKit
+import com.arthenica.ffmpegkit.FFmpegKitConfig
+import com.arthenica.ffmpegkit.FFprobeKit
+import com.arthenica.ffmpegkit.ReturnCode
+import expo.modules.kotlin.Promise
+import expo.modules.kotlin.exception.CodedException
+import expo.modules.kotlin.modules.Module
+import expo.modules.kotlin.modules.ModuleDefinition
+import java.util.concurrent.ConcurrentHashMap
+
+class FFmpegRunnerModule : Module() {
+  // FFmpeg session ids of running commands, by the execution id JavaScript gave them
+  private val sessionIds = ConcurrentHashMap<String, Long>()
+
+  override fun definition() = ModuleDefinition {
+    Name("FFmpegRunner")
+
+    Events("onStatistics")
+
+    AsyncFunction("execute") { executionId: String, args: List<String>, promise: Promise ->
+      val session = FFmpegKit.executeWithArgumentsAsync(args.toTypedArray(), { session ->
+        sessionIds.remove(executionId)
+        val returnCode = session.returnCode
+        promise.resolve(mapOf(
+          "returnCode" to (returnCode?.value ?: -1),
+          "cancelled" to ReturnCode.isCancel(returnCode),
+          "output" to (session.output ?: "")
+        ))
+      }, null, { statistics ->
+        sendEvent("onStatistics", mapOf(
+          "executionId" to executionId,
+          "time" to statistics.time
+        ))
+      })
+
+      // A command that already finished has nothing left to cancel
+      if (session.returnCode == null) {
+        sessionIds[executionId] = session.sessionId
+      }
+    }
+
+    Function("cancel") { executionId: String ->
+      sessionIds[executionId]?.let { FFmpegKit.cancel(it) }
+    }
+
+    AsyncFunction("probe") { path: String, promise: Promise ->
+      val args = arrayOf("-v", "error", "-hide_banner", "-print_format", "json", "-show_format", "-show_streams", path)
+      FFprobeKit.executeWithArgumentsAsync(args) { session ->
+        if (ReturnCode.isSuccess(session.returnCode) && session.output != null) {
+          promise.resolve(session.output)
+        } else {
+          promise.reject(CodedException("ERR_FFPROBE", "Could not read media information", null))
+        }
+      }
+    }
+
+    Function("setFontDirectories") { directories: List<String> ->
+      FFmpegKitConfig.setFontDirectoryList(appContext.reactContext, directories, emptyMap())
+    }
+  }
+}
@@ -0,0 +1,38 @@
+// Picks the FFmpeg build react-native-video-trim links, which the FFmpeg runner shares
+const { withPodfile, withProjectBuildGradle } = require('expo/config-plugins');
+
+const DEFAULT_OPTIONS = {
+  // drawtext, libwebp and the other filters the exports use need the full GPL build
+  package: 'full-gpl',
+  androidVersion: '6.0.1',
+};
+
+const withFFmpegPackage = (config, options = {}) => {
+  const { package: ffmpegPackage, androidVersion } = { ...DEFAULT_OPTIONS, ...options };
+
+  // The podspecs read the package from the environment when pods are installed
+  config = withPodfile(config, (podfileConfig) => {
+    const line = `ENV['FFMPEGKIT_PACKAGE'] ||= '${ffmpegPackage}'`;
+    if (!podfileConfig.modResults.contents.includes("ENV['FFMPEGKIT_PACKAGE']")) {
+      podfileConfig.modResults.contents = `${line}\n${podfileConfig.modResults.contents}`;
+    }
+    return podfileConfig;
+  });
+
+  // The Gradle builds read it from the root project's ext
+  config = withProjectBuildGradle(config, (gradleConfig) => {
+    if (!gradleConfig.modResults.contents.includes('VideoTrim_ffmpeg_package')) {
+      gradleConfig.modResults.contents += [
+        '',
+        `ext.VideoTrim_ffmpeg_package = '${ffmpegPackage}'`,
+        `ext.VideoTrim_ffmpeg_version = '${androidVersion}'`,
+        '',
+      ].join('\n');
+    }
+    return gradleConfig;
+  });
+
+  return config;
+};
+
+module.exports = withFFmpegPackage;
@@ -0,0 +1,12 @@
+// Bridge to the FFmpeg build that react-native-video-trim links into the app
+import { requireNativeModule } from 'expo';
+
+/**
+ * Native FFmpeg runner
+ *
+ * execute(executionId, args) resolves with { returnCode, cancelled, output } once the command ends,
+ * emitting onStatistics ({ executionId, time }) while it runs; cancel(executionId) stops it.
+ * probe(path) resolves with FFprobe's JSON output for the file, and
+ * setFontDirectories(directories) tells drawtext where to look up fonts by name.
+ */
+export default requireNativeModule('FFmpegRunner');
@@ -0,0 +1,70 @@
+import ExpoModulesCore
+import ffmpegkit
+
+public class FFmpegRunnerModule: Module {
+  // FFmpeg session ids of running commands, by the execution id JavaScript gave them
+  private var sessionIds = [String: Int]()
+  private let lock = NSLock()
+
+  public func definition() -> ModuleDefinition {
+    Name("FFmpegRunner")
+
+    Events("onStatistics")
+
+    AsyncFunction("execute") { (executionId: String, args: [String], promise: Promise) in
+      let session = FFmpegKit.execute(withArgumentsAsync: args, withCompleteCallback: { session in
+        self.setSessionId(nil, for: executionId)
+        let returnCode = session?.getReturnCode()
+        promise.resolve([
+          "returnCode": returnCode?.getValue() ?? -1,
+          "cancelled": ReturnCode.isCancel(returnCode),
+          "output": session?.getOutput() ?? "",
+        ])
+      }, withLogCallback: nil, withStatisticsCallback: { statistics in
+        guard let statistics = statistics else { return }
+        self.sendEvent("onStatistics", [
+          "executionId": executionId,
+          "time": statistics.getTime(),
+        ])
+      })
+
+      // A command that already finished has nothing left to cancel
+      if let session = session, session.getReturnCode() == nil {
+        self.setSessionId(session.getSessionId(), for: executionId)
+      }
+    }
+
+    Function("cancel") { (executionId: String) in
+      if let sessionId = self.getSessionId(for: executionId) {
+        FFmpegKit.cancel(sessionId)
+      }
+    }
+
+    AsyncFunction("probe") { (path: String, promise: Promise) in
+      let args = ["-v", "error", "-hide_banner", "-print_format", "json", "-show_format", "-show_streams", path]
+      FFprobeKit.execute(withArgumentsAsync: args, withCompleteCallback: { session in
+        if ReturnCode.isSuccess(session?.getReturnCode()), let output = session?.getOutput() {
+          promise.resolve(output)
+        } else {
+          promise.reject("ERR_FFPROBE", "Could not read media information")
+        }
+      })
+    }
+
+    Function("setFontDirectories") { (directories: [String]) in
+      FFmpegKitConfig.setFontDirectoryList(directories, with: nil)
+    }
+  }
+
+  private func setSessionId(_ sessionId: Int?, for executionId: String) {
+    lock.lock()
+    defer { lock.unlock() }
+    sessionIds[executionId] = sessionId
+  }
+
+  private func getSessionId(for executionId: String) -> Int? {
+    lock.lock()
+    defer { lock.unlock() }
+    return sessionIds[executionId]
+  }
+}
@@ -0,0 +1,166 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  Switch,
+  StyleSheet,
+} from 'react-native';
+import Slider from '@react-native-community/slider';
+import { MAX_AUDIO_GAIN, MAX_FADE_DURATION, DEFAULT_AUDIO_SETTINGS } from '../utils/audioUtils';
+
+export default function AudioSettingsSheet({ visible, audio, onChange, onClose }) {
+  const updateAudio = (changes) => {
+    onChange({ ...audio, ...changes });
+  };
+
+  const renderSlider = (label, value, text, props) => (
+    <View style={[styles.section, audio.muted && styles.disabledSection]}>
+      <View style={styles.labelRow}>
+        <Text style={styles.label}>{label}</Text>
+        <Text style={styles.value}>{text}</Text>
+      </View>
+      <Slider
+        value={value}
+        disabled={audio.muted}
+        minimumTrackTintColor="#007bff"
+        maximumTrackTintColor="#dee2e6"
+        thumbTintColor="#007bff"
+        {...props}
+      />
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Audio</Text>
+
+          <View style={styles.switchRow}>
+            <Text style={styles.label}>Mute</Text>
+            <Switch
+              value={audio.muted}
+              onValueChange={muted => updateAudio({ muted })}
+            />
+          </View>
+
+          {renderSlider('Volume', audio.gain, `${Math.round(audio.gain * 100)}%`, {
+            minimumValue: 0,
+            maximumValue: MAX_AUDIO_GAIN,
+            step: 0.05,
+            onSlidingComplete: gain => updateAudio({ gain }),
+          })}
+          {audio.gain > 1 && !audio.muted && (
+            <Text style={styles.hintText}>Boosts above 100% are applied on export only</Text>
+          )}
+
+          {renderSlider('Fade In', audio.fadeIn, `${(audio.fadeIn / 1000).toFixed(1)}s`, {
+            minimumValue: 0,
+            maximumValue: MAX_FADE_DURATION,
+            step: 100,
+            onSlidingComplete: fadeIn => updateAudio({ fadeIn }),
+          })}
+
+          {renderSlider('Fade Out', audio.fadeOut, `${(audio.fadeOut / 1000).toFixed(1)}s`, {
+            minimumValue: 0,
+            maximumValue: MAX_FADE_DURATION,
+            step: 100,
+            onSlidingComplete: fadeOut => updateAudio({ fadeOut }),
+          })}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.button, styles.resetButton]}
+              onPress={() => onChange(DEFAULT_AUDIO_SETTINGS)}
+            >
+              <Text style={styles.buttonText}>Reset</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.doneButton]} onPress={onClose}>
+              <Text style={styles.buttonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  sheet: {
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    backgroundColor: '#ffffff',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 10,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 5,
+  },
+  section: {
+    marginTop: 10,
+  },
+  disabledSection: {
+    opacity: 0.4,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  value: {
+    fontSize: 14,
+    color: '#6c757d',
+    fontVariant: ['tabular-nums'],
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6c757d',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  resetButton: {
+    backgroundColor: '#6c757d',
+    marginRight: 5,
+  },
+  doneButton: {
+    backgroundColor: '#007bff',
+    marginLeft: 5,
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+} from 'react-native';
+import { formatTime } from '../utils/videoUtils';
+import { FRAME_FORMATS } from '../utils/frameCapture';
+
+export default function CaptureFrameSheet({
+  visible,
+  time,
+  isCapturing,
+  canSetCover,
+  onCapture,
+  onClose,
+}) {
+  const [format, setFormat] = useState(FRAME_FORMATS.JPEG.id);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Capture Frame</Text>
+          <Text style={styles.hintText}>
+            Frame at {formatTime(time)}, at the full source resolution
+          </Text>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Format</Text>
+            <View style={styles.optionRow}>
+              {Object.values(FRAME_FORMATS).map(option => {
+                const isActive = format === option.id;
+                return (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[styles.option, isActive && styles.activeOption]}
+                    onPress={() => setFormat(option.id)}
+                  >
+                    <Text style={[styles.optionText, isActive && styles.activeOptionText]}>
+                      {option.name}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity
+              style={[styles.button, styles.galleryButton, isCapturing && styles.disabledButton]}
+              onPress={() => onCapture(format, 'gallery')}
+              disabled={isCapturing}
+            >
+              <Text style={styles.buttonText}>{isCapturing ? 'Capturing...' : 'Save to Gallery'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.button, styles.coverButton, (isCapturing || !canSetCover) && styles.disabledButton]}
+              onPress={() => onCapture(format, 'cover')}
+              disabled={isCapturing || !canSetCover}
+            >
+              <Text style={styles.buttonText}>Use as Cover</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TouchableOpacity style={styles.doneButton} onPress={onClose} disabled={isCapturing}>
+            <Text style={styles.doneButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  sheet: {
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    backgroundColor: '#ffffff',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 4,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6c757d',
+  },
+  section: {
+    marginTop: 15,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#495057',
+    marginBottom: 6,
+  },
+  optionRow: {
+    flexDirection: 'row',
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#ffffff',
+  },
+  activeOption: {
+    backgroundColor: '#007bff',
+    borderColor: '#0056b3',
+  },
+  optionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  activeOptionText: {
+    color: '#ffffff',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  galleryButton: {
+    backgroundColor: '#28a745',
+    marginRight: 5,
+  },
+  coverButton: {
+    backgroundColor: '#007bff',
+    marginLeft: 5,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  doneButton: {
+    marginTop: 12,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  doneButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6c757d',
+  },
+});
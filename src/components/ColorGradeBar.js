@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import Slider from '@react-native-community/slider';
+import {
+  COLOR_ADJUSTMENTS,
+  COLOR_PRESETS,
+  hasColorGrade,
+  getColorPresetId,
+  formatAdjustment,
+} from '../utils/colorGrade';
+
+export default function ColorGradeBar({
+  grade,
+  isComparing,
+  onSelectPreset,
+  onAdjust,
+  onCompareChange,
+  onDone,
+}) {
+  // Value under the thumb while sliding, before it is applied
+  const [sliding, setSliding] = useState(null);
+  const activePresetId = getColorPresetId(grade);
+  const options = [{ id: null, name: 'Original' }, ...Object.values(COLOR_PRESETS)];
+
+  const handleSlidingComplete = (key, value) => {
+    setSliding(null);
+    onAdjust(key, value);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.presetRow}>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipScroll}
+          contentContainerStyle={styles.chipRow}
+        >
+          {options.map(item => {
+            const isActive = item.id ? activePresetId === item.id : !hasColorGrade(grade);
+            return (
+              <TouchableOpacity
+                key={item.id || 'original'}
+                style={[styles.chip, isActive && styles.activeChip]}
+                onPress={() => onSelectPreset(item.id)}
+              >
+                <Text style={[styles.chipText, isActive && styles.activeChipText]}>
+                  {item.name}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+        <TouchableOpacity style={styles.doneButton} onPress={onDone}>
+          <Text style={styles.doneButtonText}>Done</Text>
+        </TouchableOpacity>
+      </View>
+
+      {Object.values(COLOR_ADJUSTMENTS).map(adjustment => {
+        const value = sliding?.key === adjustment.key ? sliding.value : grade[adjustment.key];
+        return (
+          <View key={adjustment.key} style={styles.sliderRow}>
+            <Text style={styles.sliderLabel}>{adjustment.name}</Text>
+            <Slider
+              style={styles.slider}
+              value={grade[adjustment.key]}
+              minimumValue={-1}
+              maximumValue={1}
+              step={0.01}
+              onValueChange={next => setSliding({ key: adjustment.key, value: next })}
+              onSlidingComplete={next => handleSlidingComplete(adjustment.key, next)}
+              minimumTrackTintColor="#007bff"
+              maximumTrackTintColor="#dee2e6"
+              thumbTintColor="#007bff"
+            />
+            <Text style={styles.sliderValue}>{formatAdjustment(value)}</Text>
+          </View>
+        );
+      })}
+
+      {/* Held down to show the untouched source in place of the graded frame */}
+      <TouchableOpacity
+        style={[styles.compareButton, isComparing && styles.activeCompareButton]}
+        onPressIn={() => onCompareChange(true)}
+        onPressOut={() => onCompareChange(false)}
+        activeOpacity={1}
+      >
+        <Text style={[styles.compareButtonText, isComparing && styles.activeCompareButtonText]}>
+          {isComparing ? 'Showing Before' : 'Hold to Compare Before / After'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    backgroundColor: '#f8f9fa',
+  },
+  presetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  chipScroll: {
+    flex: 1,
+  },
+  chipRow: {
+    alignItems: 'center',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#ffffff',
+  },
+  activeChip: {
+    backgroundColor: '#007bff',
+    borderColor: '#0056b3',
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  activeChipText: {
+    color: '#ffffff',
+  },
+  doneButton: {
+    marginLeft: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  doneButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+  sliderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: 32,
+  },
+  sliderLabel: {
+    width: 90,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  slider: {
+    flex: 1,
+  },
+  sliderValue: {
+    width: 40,
+    fontSize: 12,
+    color: '#6c757d',
+    textAlign: 'right',
+    fontVariant: ['tabular-nums'],
+  },
+  compareButton: {
+    alignItems: 'center',
+    paddingVertical: 8,
+    marginTop: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#ffffff',
+  },
+  activeCompareButton: {
+    backgroundColor: '#343a40',
+    borderColor: '#343a40',
+  },
+  compareButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  activeCompareButtonText: {
+    color: '#ffffff',
+  },
+});
@@ -0,0 +1,136 @@
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  PanResponder,
+  StyleSheet,
+} from 'react-native';
+import {
+  moveCrop,
+  scaleCrop,
+  getCropScale,
+  getContainedSize,
+} from '../utils/cropUtils';
+
+const getTouchDistance = (touches) => Math.hypot(
+  touches[0].pageX - touches[1].pageX,
+  touches[0].pageY - touches[1].pageY
+);
+
+export default function CropOverlay({ crop, frameAspect, onChange, onChangeComplete }) {
+  const [containerSize, setContainerSize] = useState({ width: 0, height: 0 });
+  const gesture = useRef(null);
+  const frame = getContainedSize(containerSize, frameAspect);
+
+  // One finger drags the crop, two fingers pinch to resize it
+  const panResponder = PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: () => {
+      gesture.current = { mode: 'pan', crop };
+    },
+    onPanResponderMove: (event, gestureState) => {
+      const { touches } = event.nativeEvent;
+      const current = gesture.current;
+      if (!current || !frame.width || !frame.height) return;
+
+      if (touches.length >= 2) {
+        if (current.mode !== 'pinch') {
+          gesture.current = {
+            mode: 'pinch',
+            crop,
+            scale: getCropScale(crop, frameAspect),
+            distance: Math.max(1, getTouchDistance(touches)),
+          };
+          return;
+        }
+
+        const scale = current.scale * (getTouchDistance(touches) / current.distance);
+        onChange(scaleCrop(current.crop, scale, frameAspect));
+      } else if (current.mode === 'pan') {
+        onChange(moveCrop(
+          current.crop,
+          current.crop.x + gestureState.dx / frame.width,
+          current.crop.y + gestureState.dy / frame.height
+        ));
+      }
+    },
+    onPanResponderRelease: () => {
+      gesture.current = null;
+      onChangeComplete && onChangeComplete();
+    },
+    onPanResponderTerminate: () => {
+      gesture.current = null;
+      onChangeComplete && onChangeComplete();
+    },
+  });
+
+  const rect = {
+    left: crop.x * frame.width,
+    top: crop.y * frame.height,
+    width: crop.width * frame.width,
+    height: crop.height * frame.height,
+  };
+
+  return (
+    <View
+      style={styles.container}
+      onLayout={event => setContainerSize(event.nativeEvent.layout)}
+      {...panResponder.panHandlers}
+    >
+      <View style={{ width: frame.width, height: frame.height }}>
+        {/* Dim everything outside the crop */}
+        <View style={[styles.mask, { left: 0, right: 0, top: 0, height: rect.top }]} />
+        <View style={[styles.mask, { left: 0, right: 0, top: rect.top + rect.height, bottom: 0 }]} />
+        <View style={[styles.mask, { left: 0, width: rect.left, top: rect.top, height: rect.height }]} />
+        <View
+          style={[
+            styles.mask,
+            { left: rect.left + rect.width, right: 0, top: rect.top, height: rect.height },
+          ]}
+        />
+
+        <View style={[styles.cropRect, rect]}>
+          <View style={[styles.gridLine, styles.verticalLine, { left: '33.33%' }]} />
+          <View style={[styles.gridLine, styles.verticalLine, { left: '66.66%' }]} />
+          <View style={[styles.gridLine, styles.horizontalLine, { top: '33.33%' }]} />
+          <View style={[styles.gridLine, styles.horizontalLine, { top: '66.66%' }]} />
+        </View>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  mask: {
+    position: 'absolute',
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  cropRect: {
+    position: 'absolute',
+    borderWidth: 2,
+    borderColor: '#ffffff',
+  },
+  gridLine: {
+    position: 'absolute',
+    backgroundColor: 'rgba(255, 255, 255, 0.4)',
+  },
+  verticalLine: {
+    top: 0,
+    bottom: 0,
+    width: 1,
+  },
+  horizontalLine: {
+    left: 0,
+    right: 0,
+    height: 1,
+  },
+});
@@ -0,0 +1,89 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import { CROP_PRESETS } from '../utils/cropUtils';
+
+export default function CropPresetBar({ crop, onSelect, onDone }) {
+  const options = [{ id: null, name: 'Original' }, ...Object.values(CROP_PRESETS)];
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipScroll}
+        contentContainerStyle={styles.chipRow}
+      >
+        {options.map(item => {
+          const isActive = (crop?.aspect || null) === item.id;
+          return (
+            <TouchableOpacity
+              key={item.id || 'original'}
+              style={[styles.chip, isActive && styles.activeChip]}
+              onPress={() => onSelect(item.id)}
+            >
+              <Text style={[styles.chipText, isActive && styles.activeChipText]}>
+                {item.name}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+      <TouchableOpacity style={styles.doneButton} onPress={onDone}>
+        <Text style={styles.doneButtonText}>Done</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    backgroundColor: '#f8f9fa',
+  },
+  chipScroll: {
+    flex: 1,
+  },
+  chipRow: {
+    alignItems: 'center',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#ffffff',
+  },
+  activeChip: {
+    backgroundColor: '#007bff',
+    borderColor: '#0056b3',
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  activeChipText: {
+    color: '#ffffff',
+  },
+  doneButton: {
+    marginLeft: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  doneButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+});
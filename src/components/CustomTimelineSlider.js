@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -7,27 +7,76 @@ import {
   Dimensions,
   StyleSheet,
 } from 'react-native';
+import Filmstrip from './Filmstrip';
+import Waveform from './Waveform';
+import TimeEntryModal from './TimeEntryModal';
+import {
+  clamp,
+  formatPreciseTime,
+  formatTimestamp,
+  getTickInterval,
+  getFrameDuration,
+  validateTimeRange,
+  DEFAULT_FRAME_RATE,
+} from '../utils/videoUtils';
 
 const { width: screenWidth } = Dimensions.get('window');
 const SLIDER_WIDTH = screenWidth - 40;
 const HANDLE_SIZE = 24;
 const TRACK_HEIGHT = 6;
 const TIMELINE_HEIGHT = 80;
+const FILMSTRIP_HEIGHT = 44;
+const TRACK_OFFSET = (screenWidth - SLIDER_WIDTH) / 2;
+const MIN_VISIBLE_DURATION = 2000; // Most zoomed-in view spans 2 seconds
+const NUDGE_STEPS = [
+  { label: '-1s', millis: -1000 },
+  { label: '-0.1s', millis: -100 },
+  { label: '-1f', frames: -1 },
+  { label: '+1f', frames: 1 },
+  { label: '+0.1s', millis: 100 },
+  { label: '+1s', millis: 1000 },
+];
 
 export default function CustomTimelineSlider({ 
+  videoUri,
   duration, 
   startTime, 
   endTime, 
   onStartTimeChange, 
   onEndTimeChange,
-  currentTime = 0 
+  currentTime = 0,
+  segments = [],
+  activeSegmentId = null,
+  onSelectSegment,
+  onSeek,
+  onChangeComplete,
+  frameRate = DEFAULT_FRAME_RATE,
+  minDuration = 1000,
+  maxDuration = null,
 }) {
-  const [isDragging, setIsDragging] = useState(false);
   const [activeHandle, setActiveHandle] = useState(null);
-  
-  const startPosition = (startTime / duration) * SLIDER_WIDTH;
-  const endPosition = (endTime / duration) * SLIDER_WIDTH;
-  const currentPosition = (currentTime / duration) * SLIDER_WIDTH;
+  // Handle targeted by the nudge buttons; stays selected after a drag
+  const [selectedHandle, setSelectedHandle] = useState('start');
+  const [editingHandle, setEditingHandle] = useState(null);
+  const [zoom, setZoom] = useState(1);
+  const [viewStart, setViewStart] = useState(0);
+  // Filmstrip range is only refreshed once a pan or pinch settles
+  const [filmstripRange, setFilmstripRange] = useState({ start: 0, end: duration });
+  const dragStartTime = useRef(0);
+  const viewGesture = useRef(null);
+
+  const maxZoom = Math.max(1, duration / MIN_VISIBLE_DURATION);
+  const visibleDuration = duration / zoom;
+  const viewEnd = viewStart + visibleDuration;
+
+  const timeToPosition = (time) => ((time - viewStart) / visibleDuration) * SLIDER_WIDTH;
+  const clampViewStart = (value, visible) => clamp(value, 0, Math.max(0, duration - visible));
+  const clampPosition = (position) => clamp(position, 0, SLIDER_WIDTH);
+  const isVisible = (position) => position >= 0 && position <= SLIDER_WIDTH;
+
+  const startPosition = timeToPosition(startTime);
+  const endPosition = timeToPosition(endTime);
+  const currentPosition = timeToPosition(currentTime);
   
   const formatTime = (timeMs) => {
     const seconds = Math.floor(timeMs / 1000);
@@ -36,51 +85,222 @@ export default function CustomTimelineSlider({
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
   };
 
+  // Show tenths of a second once zoomed in far enough to place them
+  const formatDisplayTime = (timeMs) => (zoom > 1 ? formatPreciseTime(timeMs) : formatTime(timeMs));
+
+  // Reset the view when a different video is loaded
+  useEffect(() => {
+    setZoom(1);
+    setViewStart(0);
+    setFilmstripRange({ start: 0, end: duration });
+  }, [videoUri, duration]);
+
+  // Latest props and view, read by the gesture handlers and effects that are not recreated on every render
+  const latestRef = useRef(null);
+  latestRef.current = {
+    startTime,
+    endTime,
+    duration,
+    zoom,
+    maxZoom,
+    viewStart,
+    viewEnd,
+    visibleDuration,
+    clampViewStart,
+    onStartTimeChange,
+    onEndTimeChange,
+    onChangeComplete,
+  };
+
+  // Bring the active segment into view when it is selected
+  useEffect(() => {
+    const view = latestRef.current;
+    if (view.startTime < view.viewStart || view.startTime > view.viewEnd) {
+      const nextViewStart = view.clampViewStart(view.startTime - view.visibleDuration * 0.1, view.visibleDuration);
+      setViewStart(nextViewStart);
+      setFilmstripRange({ start: nextViewStart, end: nextViewStart + view.visibleDuration });
+    }
+  }, [activeSegmentId]);
+
+  // Responders are created once: gestureState.dx is only measured from the grant of the instance that received it
   const createPanResponder = (isStart) => {
+    const endDrag = () => {
+      setActiveHandle(null);
+      const { onChangeComplete: handleChangeComplete } = latestRef.current;
+      handleChangeComplete && handleChangeComplete();
+    };
+
     return PanResponder.create({
       onStartShouldSetPanResponder: () => true,
       onMoveShouldSetPanResponder: () => true,
       onPanResponderGrant: () => {
-        setIsDragging(true);
+        const latest = latestRef.current;
         setActiveHandle(isStart ? 'start' : 'end');
+        setSelectedHandle(isStart ? 'start' : 'end');
+        dragStartTime.current = isStart ? latest.startTime : latest.endTime;
       },
       onPanResponderMove: (event, gestureState) => {
-        const { dx } = gestureState;
-        const currentPos = isStart ? startPosition : endPosition;
-        const newPosition = currentPos + dx;
+        // Convert the drag distance using the current zoom level
+        const latest = latestRef.current;
+        const newTime = dragStartTime.current + (gestureState.dx / SLIDER_WIDTH) * latest.visibleDuration;
         
         if (isStart) {
-          const clampedPosition = Math.max(0, Math.min(endPosition - 30, newPosition));
-          const newTime = (clampedPosition / SLIDER_WIDTH) * duration;
-          onStartTimeChange(Math.max(0, newTime));
+          latest.onStartTimeChange(clamp(newTime, 0, latest.endTime));
         } else {
-          const clampedPosition = Math.max(startPosition + 30, Math.min(SLIDER_WIDTH, newPosition));
-          const newTime = (clampedPosition / SLIDER_WIDTH) * duration;
-          onEndTimeChange(Math.min(duration, newTime));
+          latest.onEndTimeChange(clamp(newTime, latest.startTime, latest.duration));
         }
       },
-      onPanResponderRelease: () => {
-        setIsDragging(false);
-        setActiveHandle(null);
+      onPanResponderRelease: endDrag,
+      onPanResponderTerminate: endDrag,
+    });
+  };
+
+  const getTouchDistance = (touches) => Math.abs(touches[0].pageX - touches[1].pageX);
+
+  // One finger pans the zoomed timeline, two fingers pinch to zoom
+  const createViewPanResponder = () => {
+    // The filmstrip follows the view once the gesture has settled
+    const endGesture = () => {
+      const { viewStart: settledStart, viewEnd: settledEnd } = latestRef.current;
+      viewGesture.current = null;
+      setFilmstripRange({ start: settledStart, end: settledEnd });
+    };
+
+    return PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      // Never steal an in-progress handle drag
+      onMoveShouldSetPanResponder: () => false,
+      onPanResponderGrant: () => {
+        const latest = latestRef.current;
+        viewGesture.current = {
+          mode: 'pan',
+          zoom: latest.zoom,
+          viewStart: latest.viewStart,
+          visibleDuration: latest.visibleDuration,
+        };
+      },
+      onPanResponderMove: (event, gestureState) => {
+        const { touches } = event.nativeEvent;
+        const gesture = viewGesture.current;
+        const latest = latestRef.current;
+        if (!gesture) return;
+
+        if (touches.length >= 2) {
+          if (gesture.mode !== 'pinch') {
+            const focusX = (touches[0].pageX + touches[1].pageX) / 2 - TRACK_OFFSET;
+            viewGesture.current = {
+              mode: 'pinch',
+              zoom: latest.zoom,
+              distance: Math.max(1, getTouchDistance(touches)),
+              focusX,
+              focusTime: latest.viewStart + (focusX / SLIDER_WIDTH) * latest.visibleDuration,
+            };
+            return;
+          }
+
+          // Keep the time under the pinch center fixed while zooming
+          const nextZoom = clamp(gesture.zoom * (getTouchDistance(touches) / gesture.distance), 1, latest.maxZoom);
+          const nextVisible = latest.duration / nextZoom;
+          setZoom(nextZoom);
+          setViewStart(latest.clampViewStart(gesture.focusTime - (gesture.focusX / SLIDER_WIDTH) * nextVisible, nextVisible));
+        } else if (gesture.mode === 'pan') {
+          // Panning does not change the zoom, so the span at the grant still applies
+          const offset = (-gestureState.dx / SLIDER_WIDTH) * gesture.visibleDuration;
+          setViewStart(latest.clampViewStart(gesture.viewStart + offset, gesture.visibleDuration));
+        }
       },
+      onPanResponderRelease: endGesture,
+      onPanResponderTerminate: endGesture,
     });
   };
 
-  const startPanResponder = createPanResponder(true);
-  const endPanResponder = createPanResponder(false);
+  // The handlers only touch refs and state setters, so the first instances stay valid
+  const startPanResponder = useMemo(() => createPanResponder(true), []);
+  const endPanResponder = useMemo(() => createPanResponder(false), []);
+  const viewPanResponder = useMemo(() => createViewPanResponder(), []);
+
+  const setHandleTime = (handle, time) => {
+    if (handle === 'start') {
+      onStartTimeChange(clamp(time, 0, endTime));
+    } else {
+      onEndTimeChange(clamp(time, startTime, duration));
+    }
+    onSeek && onSeek(clamp(time, 0, duration));
+    onChangeComplete && onChangeComplete();
+  };
+
+  const handleNudge = (delta) => {
+    const time = selectedHandle === 'start' ? startTime : endTime;
+    setHandleTime(selectedHandle, time + delta);
+  };
+
+  const handleOpenTimeEntry = (handle) => {
+    setSelectedHandle(handle);
+    setEditingHandle(handle);
+  };
+
+  const validateEnteredTime = (time) => {
+    const newStart = editingHandle === 'start' ? time : startTime;
+    const newEnd = editingHandle === 'end' ? time : endTime;
+
+    if (time > duration) {
+      return `Time must be within the video (${formatTimestamp(duration)})`;
+    }
+    if (!validateTimeRange(newStart, newEnd)) {
+      return 'Start must be before End';
+    }
+    if (newEnd - newStart < minDuration) {
+      return `Selection must be at least ${minDuration / 1000}s long`;
+    }
+    if (maxDuration && newEnd - newStart > maxDuration) {
+      return `Selection can be at most ${formatTimestamp(maxDuration)} long`;
+    }
+    return null;
+  };
+
+  const handleSubmitTimeEntry = (time) => {
+    setHandleTime(editingHandle, time);
+    setEditingHandle(null);
+  };
+
+  const handleResetZoom = () => {
+    setZoom(1);
+    setViewStart(0);
+    setFilmstripRange({ start: 0, end: duration });
+  };
+
+  const renderInactiveSegments = () => {
+    return segments
+      .filter(segment => segment.id !== activeSegmentId)
+      .map(segment => {
+        const left = clampPosition(timeToPosition(segment.startTime));
+        const width = clampPosition(timeToPosition(segment.endTime)) - left;
+        if (width <= 0) return null;
+
+        return (
+          <TouchableOpacity
+            key={segment.id}
+            style={[styles.inactiveSegment, { left, width }]}
+            onPress={() => onSelectSegment && onSelectSegment(segment.id)}
+            hitSlop={{ top: 12, bottom: 12 }}
+          />
+        );
+      });
+  };
+
 
   const renderTimeMarkers = () => {
     const markers = [];
-    const markerCount = 6;
+    const interval = getTickInterval(visibleDuration, SLIDER_WIDTH);
+    const formatMarker = interval < 1000 ? formatPreciseTime : formatTime;
     
-    for (let i = 0; i <= markerCount; i++) {
-      const position = (i / markerCount) * SLIDER_WIDTH;
-      const time = (i / markerCount) * duration;
+    for (let time = Math.ceil(viewStart / interval) * interval; time <= viewEnd; time += interval) {
+      const position = timeToPosition(time);
       
       markers.push(
-        <View key={i} style={[styles.timeMarker, { left: position - 15 }]}>
+        <View key={time} style={[styles.timeMarker, { left: position - 20 }]}>
           <View style={styles.markerTick} />
-          <Text style={styles.markerText}>{formatTime(time)}</Text>
+          <Text style={styles.markerText}>{formatMarker(time)}</Text>
         </View>
       );
     }
@@ -88,6 +308,13 @@ export default function CustomTimelineSlider({
     return markers;
   };
 
+  // Stretch the last generated filmstrip to the current view until it refreshes
+  const filmstripWidth = ((filmstripRange.end - filmstripRange.start) / visibleDuration) * SLIDER_WIDTH;
+  const filmstripTransform = [
+    { translateX: timeToPosition(filmstripRange.start) + filmstripWidth / 2 - SLIDER_WIDTH / 2 },
+    { scaleX: filmstripWidth / SLIDER_WIDTH || 1 },
+  ];
+
   return (
     <View style={styles.container}>
       <View style={styles.timelineContainer}>
@@ -97,87 +324,160 @@ export default function CustomTimelineSlider({
         </View>
         
         {/* Main Track Container */}
-        <View style={styles.trackContainer}>
+        <View style={styles.trackContainer} {...viewPanResponder.panHandlers}>
+          {/* Frame Filmstrip */}
+          <View style={styles.filmstripContainer}>
+            <View style={{ transform: filmstripTransform }}>
+              <Filmstrip
+                videoUri={videoUri}
+                startTime={filmstripRange.start}
+                endTime={filmstripRange.end}
+                width={SLIDER_WIDTH}
+                height={FILMSTRIP_HEIGHT}
+              />
+            </View>
+            {/* Audio peaks, so handles can be placed on silences */}
+            <Waveform
+              videoUri={videoUri}
+              startTime={viewStart}
+              endTime={viewEnd}
+              width={SLIDER_WIDTH}
+              height={FILMSTRIP_HEIGHT}
+            />
+            <View style={[styles.filmstripDim, { left: 0, width: clampPosition(startPosition) }]} />
+            <View style={[
+              styles.filmstripDim,
+              {
+                left: clampPosition(endPosition),
+                width: SLIDER_WIDTH - clampPosition(endPosition),
+              }
+            ]} />
+          </View>
+          
           <View style={styles.track}>
             {/* Background Track */}
             <View style={styles.backgroundTrack} />
             
             {/* Unselected areas (dimmed) */}
-            <View style={[styles.unselectedTrack, { width: startPosition }]} />
+            <View style={[styles.unselectedTrack, { width: clampPosition(startPosition) }]} />
             <View style={[
               styles.unselectedTrack, 
               { 
-                width: SLIDER_WIDTH - endPosition, 
-                left: endPosition 
+                width: SLIDER_WIDTH - clampPosition(endPosition), 
+                left: clampPosition(endPosition) 
               }
             ]} />
             
+            {/* Other segments (tap to select) */}
+            {renderInactiveSegments()}
+            
             {/* Selected area (highlighted) */}
             <View style={[
               styles.selectedTrack, 
               { 
-                left: startPosition, 
-                width: endPosition - startPosition 
+                left: clampPosition(startPosition), 
+                width: clampPosition(endPosition) - clampPosition(startPosition) 
               }
             ]} />
             
             {/* Current time indicator */}
-            {currentTime >= startTime && currentTime <= endTime && (
+            {currentTime >= startTime && currentTime <= endTime && isVisible(currentPosition) && (
               <View style={[styles.currentTimeIndicator, { left: currentPosition }]} />
             )}
             
             {/* Start Handle */}
-            <View
-              style={[
-                styles.handle, 
-                styles.startHandle, 
-                { left: startPosition - HANDLE_SIZE/2 },
-                activeHandle === 'start' && styles.activeHandle
-              ]}
-              {...startPanResponder.panHandlers}
-            >
-              <View style={styles.handleInner}>
-                <Text style={styles.handleText}>◀</Text>
+            {isVisible(startPosition) && (
+              <View
+                style={[
+                  styles.handle, 
+                  styles.startHandle, 
+                  { left: startPosition - HANDLE_SIZE/2 },
+                  activeHandle === 'start' && styles.activeHandle
+                ]}
+                {...startPanResponder.panHandlers}
+              >
+                <View style={[styles.handleInner, selectedHandle === 'start' && styles.selectedHandleInner]}>
+                  <Text style={styles.handleText}>◀</Text>
+                </View>
               </View>
-            </View>
+            )}
             
             {/* End Handle */}
-            <View
-              style={[
-                styles.handle, 
-                styles.endHandle, 
-                { left: endPosition - HANDLE_SIZE/2 },
-                activeHandle === 'end' && styles.activeHandle
-              ]}
-              {...endPanResponder.panHandlers}
-            >
-              <View style={styles.handleInner}>
-                <Text style={styles.handleText}>▶</Text>
+            {isVisible(endPosition) && (
+              <View
+                style={[
+                  styles.handle, 
+                  styles.endHandle, 
+                  { left: endPosition - HANDLE_SIZE/2 },
+                  activeHandle === 'end' && styles.activeHandle
+                ]}
+                {...endPanResponder.panHandlers}
+              >
+                <View style={[styles.handleInner, selectedHandle === 'end' && styles.selectedHandleInner]}>
+                  <Text style={styles.handleText}>▶</Text>
+                </View>
               </View>
-            </View>
+            )}
           </View>
         </View>
+
+        {/* Zoom Info */}
+        <View style={styles.zoomRow}>
+          <Text style={styles.zoomText}>
+            {zoom > 1 ? `Zoom ${zoom.toFixed(1)}x - drag to pan` : 'Pinch the timeline to zoom'}
+          </Text>
+          {zoom > 1 && (
+            <TouchableOpacity onPress={handleResetZoom}>
+              <Text style={styles.zoomResetText}>Fit</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        
+        {/* Nudge Controls */}
+        <View style={styles.nudgeRow}>
+          <Text style={styles.nudgeLabel}>
+            {selectedHandle === 'start' ? 'Start' : 'End'}
+          </Text>
+          {NUDGE_STEPS.map(({ label, frames, millis }) => (
+            <TouchableOpacity
+              key={label}
+              style={styles.nudgeButton}
+              onPress={() => handleNudge(frames ? frames * getFrameDuration(frameRate) : millis)}
+            >
+              <Text style={styles.nudgeButtonText}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
         
         {/* Time Display */}
         <View style={styles.timeDisplay}>
-          <View style={styles.timeInfo}>
+          <TouchableOpacity style={styles.timeInfo} onPress={() => handleOpenTimeEntry('start')}>
             <Text style={styles.timeLabel}>Start</Text>
-            <Text style={styles.timeValue}>{formatTime(startTime)}</Text>
-          </View>
+            <Text style={[styles.timeValue, styles.editableValue]}>{formatDisplayTime(startTime)}</Text>
+          </TouchableOpacity>
           
           <View style={styles.timeInfo}>
             <Text style={styles.timeLabel}>Duration</Text>
             <Text style={[styles.timeValue, styles.durationValue]}>
-              {formatTime(endTime - startTime)}
+              {formatDisplayTime(endTime - startTime)}
             </Text>
           </View>
           
-          <View style={styles.timeInfo}>
+          <TouchableOpacity style={styles.timeInfo} onPress={() => handleOpenTimeEntry('end')}>
             <Text style={styles.timeLabel}>End</Text>
-            <Text style={styles.timeValue}>{formatTime(endTime)}</Text>
-          </View>
+            <Text style={[styles.timeValue, styles.editableValue]}>{formatDisplayTime(endTime)}</Text>
+          </TouchableOpacity>
         </View>
       </View>
+
+      <TimeEntryModal
+        visible={editingHandle !== null}
+        title={editingHandle === 'start' ? 'Set Start Time' : 'Set End Time'}
+        initialTime={editingHandle === 'start' ? startTime : endTime}
+        validate={validateEnteredTime}
+        onSubmit={handleSubmitTimeEntry}
+        onCancel={() => setEditingHandle(null)}
+      />
     </View>
   );
 }
@@ -191,17 +491,18 @@ const styles = StyleSheet.create({
     borderTopColor: '#e9ecef',
   },
   timelineContainer: {
-    height: TIMELINE_HEIGHT + 20,
+    minHeight: TIMELINE_HEIGHT + 20,
   },
   timelineBackground: {
     height: 35,
     marginBottom: 15,
     position: 'relative',
+    overflow: 'hidden',
   },
   timeMarker: {
     position: 'absolute',
     alignItems: 'center',
-    width: 30,
+    width: 40,
   },
   markerTick: {
     width: 2,
@@ -216,9 +517,38 @@ const styles = StyleSheet.create({
     textAlign: 'center',
   },
   trackContainer: {
-    height: TRACK_HEIGHT + HANDLE_SIZE + 10,
+    height: Math.max(FILMSTRIP_HEIGHT, TRACK_HEIGHT + HANDLE_SIZE + 10),
     justifyContent: 'center',
-    marginBottom: 15,
+    marginBottom: 8,
+  },
+  zoomRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  zoomText: {
+    fontSize: 11,
+    color: '#6c757d',
+  },
+  zoomResetText: {
+    fontSize: 12,
+    color: '#007bff',
+    fontWeight: '600',
+  },
+  filmstripContainer: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: SLIDER_WIDTH,
+    height: FILMSTRIP_HEIGHT,
+    overflow: 'hidden',
+  },
+  filmstripDim: {
+    position: 'absolute',
+    top: 0,
+    height: FILMSTRIP_HEIGHT,
+    backgroundColor: 'rgba(0, 0, 0, 0.55)',
   },
   track: {
     width: SLIDER_WIDTH,
@@ -249,6 +579,12 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#0056b3',
   },
+  inactiveSegment: {
+    position: 'absolute',
+    height: TRACK_HEIGHT,
+    backgroundColor: '#80bdff',
+    borderRadius: TRACK_HEIGHT / 2,
+  },
   currentTimeIndicator: {
     position: 'absolute',
     width: 3,
@@ -291,11 +627,40 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: '#007bff',
   },
+  selectedHandleInner: {
+    borderColor: '#fd7e14',
+  },
   handleText: {
     fontSize: 10,
     color: '#007bff',
     fontWeight: 'bold',
   },
+  nudgeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  nudgeLabel: {
+    width: 40,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#fd7e14',
+  },
+  nudgeButton: {
+    flex: 1,
+    paddingVertical: 6,
+    marginHorizontal: 2,
+    borderRadius: 6,
+    alignItems: 'center',
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#ced4da',
+  },
+  nudgeButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
   timeDisplay: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -322,6 +687,9 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#212529',
   },
+  editableValue: {
+    textDecorationLine: 'underline',
+  },
   durationValue: {
     color: '#007bff',
   },
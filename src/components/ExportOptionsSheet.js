@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+} from 'react-native';
+import { formatFileSize } from '../utils/videoUtils';
+import {
+  EXPORT_QUALITIES,
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_SETTINGS,
+  ANIMATION_FORMATS,
+  ANIMATION_FRAME_RATES,
+  ANIMATION_LENGTH_HINT,
+  DEFAULT_ANIMATION_SETTINGS,
+  getAvailableResolutions,
+  getAvailableAnimationWidths,
+  estimateExportSize,
+  estimateAnimationSize,
+  isOriginalQualityExport,
+  isAnimationExport,
+} from '../utils/exportSettings';
+
+const EXPORT_MODES = [
+  { id: 'VIDEO', name: 'Video' },
+  { id: 'ANIMATION', name: 'GIF / WebP' },
+];
+
+const LOOP_OPTIONS = [
+  { id: true, name: 'Loop' },
+  { id: false, name: 'Play Once' },
+];
+
+export default function ExportOptionsSheet({
+  visible,
+  metadata,
+  duration,
+  initialSettings,
+  onExport,
+  onCancel,
+}) {
+  const [mode, setMode] = useState('VIDEO');
+  const [videoSettings, setVideoSettings] = useState(DEFAULT_EXPORT_SETTINGS);
+  const [animationSettings, setAnimationSettings] = useState(DEFAULT_ANIMATION_SETTINGS);
+
+  // The last export's settings pick the mode the sheet opens in
+  useEffect(() => {
+    if (visible) {
+      const isAnimation = isAnimationExport(initialSettings);
+      setMode(isAnimation ? 'ANIMATION' : 'VIDEO');
+      setVideoSettings(isAnimation ? DEFAULT_EXPORT_SETTINGS : initialSettings);
+      setAnimationSettings(isAnimation ? initialSettings : DEFAULT_ANIMATION_SETTINGS);
+    }
+  }, [visible, initialSettings]);
+
+  const isAnimation = mode === 'ANIMATION';
+  const settings = isAnimation ? animationSettings : videoSettings;
+
+  const updateSetting = (key, value) => {
+    const setCurrent = isAnimation ? setAnimationSettings : setVideoSettings;
+    setCurrent(current => ({ ...current, [key]: value }));
+  };
+
+  const renderChips = (options, selectedId, onSelect) => (
+    <View style={styles.optionRow}>
+      {options.map(option => {
+        const isActive = selectedId === option.id;
+        return (
+          <TouchableOpacity
+            key={String(option.id)}
+            style={[styles.option, isActive && styles.activeOption]}
+            onPress={() => onSelect(option.id)}
+          >
+            <Text style={[styles.optionText, isActive && styles.activeOptionText]}>
+              {option.name}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderOptionRow = (title, key, options) => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      {renderChips(options, settings[key], value => updateSetting(key, value))}
+    </View>
+  );
+
+  const getHintText = () => {
+    if (isAnimation) {
+      return duration > ANIMATION_LENGTH_HINT
+        ? 'Animations have no sound and grow large quickly; keep them short'
+        : 'Animations have no sound';
+    }
+    return isOriginalQualityExport(settings)
+      ? 'Cut at the exact frames and re-encoded at the original quality'
+      : 'The video will be re-encoded';
+  };
+
+  const estimatedSize = isAnimation
+    ? estimateAnimationSize(metadata, settings, duration)
+    : estimateExportSize(metadata, settings, duration);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Export Options</Text>
+
+          {renderChips(EXPORT_MODES, mode, setMode)}
+
+          {isAnimation ? (
+            <>
+              {renderOptionRow('Format', 'format', Object.values(ANIMATION_FORMATS))}
+              {renderOptionRow('Frame Rate', 'frameRate', ANIMATION_FRAME_RATES.map(rate => ({ id: rate, name: `${rate} fps` })))}
+              {renderOptionRow('Width', 'width', getAvailableAnimationWidths(metadata))}
+              {renderOptionRow('Playback', 'loop', LOOP_OPTIONS)}
+            </>
+          ) : (
+            <>
+              {renderOptionRow('Resolution', 'resolution', getAvailableResolutions(metadata))}
+              {renderOptionRow('Quality', 'quality', Object.values(EXPORT_QUALITIES))}
+              {renderOptionRow('Format', 'format', Object.values(EXPORT_FORMATS))}
+            </>
+          )}
+
+          <View style={styles.estimateRow}>
+            <Text style={styles.estimateLabel}>Estimated size</Text>
+            <Text style={styles.estimateValue}>
+              ~{formatFileSize(estimatedSize)}
+            </Text>
+          </View>
+          <Text style={styles.hintText}>{getHintText()}</Text>
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.exportButton]} onPress={() => onExport(settings)}>
+              <Text style={styles.buttonText}>Export</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  sheet: {
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    backgroundColor: '#ffffff',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 10,
+  },
+  section: {
+    marginTop: 10,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#495057',
+    marginBottom: 6,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#ffffff',
+  },
+  activeOption: {
+    backgroundColor: '#007bff',
+    borderColor: '#0056b3',
+  },
+  optionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  activeOptionText: {
+    color: '#ffffff',
+  },
+  estimateRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 10,
+    paddingTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#e9ecef',
+  },
+  estimateLabel: {
+    fontSize: 14,
+    color: '#6c757d',
+  },
+  estimateValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#212529',
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6c757d',
+    marginTop: 4,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#6c757d',
+    marginRight: 5,
+  },
+  exportButton: {
+    backgroundColor: '#28a745',
+    marginLeft: 5,
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Image,
+  StyleSheet,
+} from 'react-native';
+import { getFilmstripThumbnails } from '../utils/thumbnailUtils';
+
+const TILE_ASPECT_RATIO = 9 / 16;
+
+export default function Filmstrip({
+  videoUri,
+  startTime,
+  endTime,
+  width,
+  height,
+}) {
+  const tileWidth = Math.max(1, Math.round(height * TILE_ASPECT_RATIO));
+  const tileCount = Math.max(1, Math.ceil(width / tileWidth));
+  const [thumbnails, setThumbnails] = useState([]);
+
+  useEffect(() => {
+    if (!videoUri || !(endTime > startTime)) return;
+
+    let cancelled = false;
+    setThumbnails(new Array(tileCount).fill(null));
+
+    getFilmstripThumbnails(videoUri, {
+      startTime,
+      endTime,
+      count: tileCount,
+      isCancelled: () => cancelled,
+      onThumbnail: (index, uri) => {
+        setThumbnails(current => {
+          const next = [...current];
+          next[index] = uri;
+          return next;
+        });
+      },
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [videoUri, startTime, endTime, tileCount]);
+
+  return (
+    <View style={[styles.container, { width, height }]} pointerEvents="none">
+      {thumbnails.map((uri, index) => (
+        <View key={index} style={[styles.tile, { width: width / tileCount, height }]}>
+          {uri && (
+            <Image source={{ uri }} style={styles.image} resizeMode="cover" />
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    overflow: 'hidden',
+    borderRadius: 4,
+    backgroundColor: '#343a40',
+  },
+  tile: {
+    overflow: 'hidden',
+    borderRightWidth: StyleSheet.hairlineWidth,
+    borderRightColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  image: {
+    width: '100%',
+    height: '100%',
+  },
+});
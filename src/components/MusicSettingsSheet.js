@@ -0,0 +1,227 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+} from 'react-native';
+import Slider from '@react-native-community/slider';
+import { formatTime } from '../utils/videoUtils';
+import { getMusicMixLevels } from '../utils/musicUtils';
+
+export default function MusicSettingsSheet({
+  visible,
+  music,
+  duration,
+  isPicking,
+  onPickMusic,
+  onChange,
+  onClose,
+}) {
+  // The offset can move the music until its end lines up with the end of the clip
+  const maxOffset = music ? Math.max(0, music.duration - duration) : 0;
+  const levels = music ? getMusicMixLevels(music.mix) : null;
+
+  const updateMusic = (changes) => {
+    onChange({ ...music, ...changes });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Background Music</Text>
+
+          {music ? (
+            <>
+              <View style={styles.trackRow}>
+                <View style={styles.trackInfo}>
+                  <Text style={styles.trackName} numberOfLines={1}>{music.name}</Text>
+                  <Text style={styles.hintText}>Length: {formatTime(music.duration)}</Text>
+                </View>
+                <TouchableOpacity
+                  style={[styles.smallButton, isPicking && styles.disabledButton]}
+                  onPress={onPickMusic}
+                  disabled={isPicking}
+                >
+                  <Text style={styles.smallButtonText}>{isPicking ? 'Loading...' : 'Replace'}</Text>
+                </TouchableOpacity>
+              </View>
+
+              <View style={[styles.section, maxOffset === 0 && styles.disabledSection]}>
+                <View style={styles.labelRow}>
+                  <Text style={styles.label}>Start Music At</Text>
+                  <Text style={styles.value}>{formatTime(music.offset)}</Text>
+                </View>
+                <Slider
+                  value={Math.min(music.offset, maxOffset)}
+                  minimumValue={0}
+                  maximumValue={maxOffset}
+                  step={100}
+                  disabled={maxOffset === 0}
+                  onSlidingComplete={offset => updateMusic({ offset })}
+                  minimumTrackTintColor="#007bff"
+                  maximumTrackTintColor="#dee2e6"
+                  thumbTintColor="#007bff"
+                />
+                {maxOffset === 0 && (
+                  <Text style={styles.hintText}>The track is shorter than the clip and starts with it</Text>
+                )}
+              </View>
+
+              <View style={styles.section}>
+                <View style={styles.labelRow}>
+                  <Text style={styles.label}>Mix</Text>
+                  <Text style={styles.value}>
+                    Clip {Math.round(levels.original * 100)}% · Music {Math.round(levels.music * 100)}%
+                  </Text>
+                </View>
+                <Slider
+                  value={music.mix}
+                  minimumValue={0}
+                  maximumValue={1}
+                  step={0.05}
+                  onSlidingComplete={mix => updateMusic({ mix })}
+                  minimumTrackTintColor="#007bff"
+                  maximumTrackTintColor="#dee2e6"
+                  thumbTintColor="#007bff"
+                />
+                <View style={styles.labelRow}>
+                  <Text style={styles.hintText}>Clip audio</Text>
+                  <Text style={styles.hintText}>Music only</Text>
+                </View>
+              </View>
+            </>
+          ) : (
+            <TouchableOpacity
+              style={[styles.pickButton, isPicking && styles.disabledButton]}
+              onPress={onPickMusic}
+              disabled={isPicking}
+            >
+              <Text style={styles.buttonText}>{isPicking ? 'Loading...' : 'Choose Audio File'}</Text>
+            </TouchableOpacity>
+          )}
+
+          <View style={styles.buttonRow}>
+            {music && (
+              <TouchableOpacity
+                style={[styles.button, styles.removeButton]}
+                onPress={() => onChange(null)}
+              >
+                <Text style={styles.buttonText}>Remove</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={[styles.button, styles.doneButton]} onPress={onClose}>
+              <Text style={styles.buttonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  sheet: {
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    backgroundColor: '#ffffff',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 10,
+  },
+  trackRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  trackInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  trackName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#6c757d',
+  },
+  smallButtonText: {
+    color: '#ffffff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  pickButton: {
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#007bff',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  section: {
+    marginTop: 15,
+  },
+  disabledSection: {
+    opacity: 0.6,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  value: {
+    fontSize: 14,
+    color: '#6c757d',
+    fontVariant: ['tabular-nums'],
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6c757d',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    marginHorizontal: 5,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  removeButton: {
+    backgroundColor: '#dc3545',
+  },
+  doneButton: {
+    backgroundColor: '#007bff',
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,123 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Image,
+  StyleSheet,
+} from 'react-native';
+import { formatTime } from '../utils/videoUtils';
+import { getSegmentsDuration } from '../utils/segmentUtils';
+
+const formatDate = (isoString) => {
+  const date = new Date(isoString);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+export default function RecentProjects({ projects, onOpen, onDelete }) {
+  if (!projects.length) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Recent Projects</Text>
+
+      {projects.map(project => (
+        <TouchableOpacity
+          key={project.id}
+          style={[styles.item, project.isMissing && styles.missingItem]}
+          onPress={() => onOpen(project)}
+        >
+          {project.coverUri && (
+            <Image source={{ uri: project.coverUri }} style={styles.cover} />
+          )}
+          <View style={styles.itemInfo}>
+            <Text style={styles.itemName} numberOfLines={1}>
+              {project.name}
+            </Text>
+            <Text style={styles.itemDetails}>
+              {project.isMissing
+                ? 'Source video missing'
+                : `${project.segments.length} segment${project.segments.length === 1 ? '' : 's'} · ${formatTime(getSegmentsDuration(project.segments))}`}
+            </Text>
+            <Text style={styles.itemDate}>{formatDate(project.updatedAt)}</Text>
+          </View>
+
+          <TouchableOpacity
+            style={styles.deleteButton}
+            onPress={() => onDelete(project)}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Text style={styles.deleteButtonText}>Delete</Text>
+          </TouchableOpacity>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    maxWidth: 400,
+    marginTop: 30,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 10,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 10,
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+  },
+  missingItem: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fecaca',
+  },
+  cover: {
+    width: 56,
+    height: 56,
+    marginRight: 10,
+    borderRadius: 6,
+    backgroundColor: '#e5e7eb',
+  },
+  itemInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  itemName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  itemDetails: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  itemDate: {
+    fontSize: 11,
+    color: '#9ca3af',
+    marginTop: 2,
+  },
+  deleteButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#fee2e2',
+  },
+  deleteButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#b91c1c',
+  },
+});
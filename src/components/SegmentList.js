@@ -0,0 +1,210 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import { formatTime } from '../utils/videoUtils';
+import { SEGMENT_SPEEDS, getSegmentsDuration, getSegmentSpeed } from '../utils/segmentUtils';
+
+export default function SegmentList({
+  segments,
+  activeSegmentId,
+  onSelect,
+  onAdd,
+  onSplit,
+  onRemove,
+  onMove,
+  onSpeedChange,
+}) {
+  const activeIndex = segments.findIndex(segment => segment.id === activeSegmentId);
+  const activeSpeed = getSegmentSpeed(segments[activeIndex]);
+  const speedIndex = SEGMENT_SPEEDS.indexOf(activeSpeed);
+
+  const stepSpeed = (direction) => {
+    const nextSpeed = SEGMENT_SPEEDS[speedIndex + direction];
+    if (nextSpeed) onSpeedChange(nextSpeed);
+  };
+
+  const renderActionButton = (label, onPress, disabled = false) => (
+    <TouchableOpacity
+      style={[styles.actionButton, disabled && styles.disabledButton]}
+      onPress={onPress}
+      disabled={disabled}
+    >
+      <Text style={styles.actionButtonText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Text style={styles.headerText}>
+          Segments ({segments.length})
+        </Text>
+        <Text style={styles.totalText}>
+          Total: {formatTime(getSegmentsDuration(segments))}
+        </Text>
+      </View>
+
+      {/* Segments in output order */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chipRow}
+      >
+        {segments.map((segment, index) => {
+          const isActive = segment.id === activeSegmentId;
+          return (
+            <TouchableOpacity
+              key={segment.id}
+              style={[styles.chip, isActive && styles.activeChip]}
+              onPress={() => onSelect(segment.id)}
+            >
+              <Text style={[styles.chipIndex, isActive && styles.activeChipText]}>
+                {index + 1}
+              </Text>
+              <Text style={[styles.chipText, isActive && styles.activeChipText]}>
+                {formatTime(segment.startTime)} - {formatTime(segment.endTime)}
+                {getSegmentSpeed(segment) !== 1 ? ` · ${getSegmentSpeed(segment)}x` : ''}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      {/* Speed of the selected segment in the output */}
+      {activeIndex !== -1 && (
+        <View style={styles.speedRow}>
+          <Text style={styles.speedLabel}>Segment Speed</Text>
+          <TouchableOpacity
+            style={[styles.speedButton, speedIndex <= 0 && styles.disabledButton]}
+            onPress={() => stepSpeed(-1)}
+            disabled={speedIndex <= 0}
+          >
+            <Text style={styles.actionButtonText}>−</Text>
+          </TouchableOpacity>
+          <Text style={styles.speedValue}>{activeSpeed}x</Text>
+          <TouchableOpacity
+            style={[styles.speedButton, speedIndex >= SEGMENT_SPEEDS.length - 1 && styles.disabledButton]}
+            onPress={() => stepSpeed(1)}
+            disabled={speedIndex >= SEGMENT_SPEEDS.length - 1}
+          >
+            <Text style={styles.actionButtonText}>+</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Segment Actions */}
+      <View style={styles.actionRow}>
+        {renderActionButton('Add', onAdd)}
+        {renderActionButton('Split', onSplit)}
+        {renderActionButton('◀ Move', () => onMove(-1), activeIndex <= 0)}
+        {renderActionButton('Move ▶', () => onMove(1), activeIndex === -1 || activeIndex >= segments.length - 1)}
+        {renderActionButton('Remove', onRemove, segments.length <= 1)}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 20,
+    paddingBottom: 15,
+    backgroundColor: '#f8f9fa',
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  headerText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  totalText: {
+    fontSize: 12,
+    color: '#6c757d',
+  },
+  chipRow: {
+    paddingBottom: 10,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#ffffff',
+  },
+  activeChip: {
+    backgroundColor: '#007bff',
+    borderColor: '#0056b3',
+  },
+  chipIndex: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#007bff',
+    marginRight: 6,
+  },
+  chipText: {
+    fontSize: 12,
+    color: '#495057',
+  },
+  activeChipText: {
+    color: '#ffffff',
+  },
+  speedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  speedLabel: {
+    flex: 1,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  speedButton: {
+    width: 32,
+    paddingVertical: 4,
+    borderRadius: 6,
+    alignItems: 'center',
+    backgroundColor: '#6c757d',
+  },
+  speedValue: {
+    width: 50,
+    textAlign: 'center',
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#212529',
+    fontVariant: ['tabular-nums'],
+  },
+  actionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  actionButton: {
+    flex: 1,
+    paddingVertical: 8,
+    marginHorizontal: 3,
+    borderRadius: 6,
+    alignItems: 'center',
+    backgroundColor: '#6c757d',
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
+  actionButtonText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,45 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+} from 'react-native';
+import { getCueAt, getCueDisplayText } from '../utils/subtitleUtils';
+
+export default function SubtitleLayer({ cues, time, frame }) {
+  const cue = getCueAt(cues, time);
+  if (!cue || !frame || !frame.width) {
+    return null;
+  }
+
+  // Sized to the frame so subtitles keep their proportions on any screen
+  const fontSize = Math.max(12, frame.height * 0.05);
+
+  return (
+    <View
+      pointerEvents="none"
+      style={[styles.layer, { left: frame.left, top: frame.top, width: frame.width, height: frame.height }]}
+    >
+      <Text style={[styles.cueText, { fontSize, marginBottom: frame.height * 0.05 }]}>
+        {getCueDisplayText(cue.text)}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  layer: {
+    position: 'absolute',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+  },
+  cueText: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 4,
+    color: '#ffffff',
+    textAlign: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+});
@@ -0,0 +1,159 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+} from 'react-native';
+import { SUBTITLE_FORMATS } from '../utils/subtitleUtils';
+
+export default function SubtitleSheet({
+  visible,
+  subtitles,
+  outputCueCount,
+  isPicking,
+  onPickSubtitles,
+  onRemove,
+  onClose,
+}) {
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Subtitles</Text>
+
+          {subtitles ? (
+            <View style={styles.fileRow}>
+              <View style={styles.fileInfo}>
+                <Text style={styles.fileName} numberOfLines={1}>{subtitles.name}</Text>
+                <Text style={styles.hintText}>
+                  {SUBTITLE_FORMATS[subtitles.format].name} · {outputCueCount} of {subtitles.cues.length} cues in the trim
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={[styles.smallButton, isPicking && styles.disabledButton]}
+                onPress={onPickSubtitles}
+                disabled={isPicking}
+              >
+                <Text style={styles.smallButtonText}>{isPicking ? 'Loading...' : 'Replace'}</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity
+              style={[styles.pickButton, isPicking && styles.disabledButton]}
+              onPress={onPickSubtitles}
+              disabled={isPicking}
+            >
+              <Text style={styles.buttonText}>{isPicking ? 'Loading...' : 'Load SRT or WebVTT File'}</Text>
+            </TouchableOpacity>
+          )}
+
+          <Text style={styles.noteText}>
+            Cues are retimed to the trimmed segments and saved as a matching file next to each video export.
+          </Text>
+
+          <View style={styles.buttonRow}>
+            {subtitles && (
+              <TouchableOpacity style={[styles.button, styles.removeButton]} onPress={onRemove}>
+                <Text style={styles.buttonText}>Remove</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={[styles.button, styles.doneButton]} onPress={onClose}>
+              <Text style={styles.buttonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  sheet: {
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    backgroundColor: '#ffffff',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 10,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  fileInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  fileName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#6c757d',
+  },
+  smallButtonText: {
+    color: '#ffffff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  pickButton: {
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#007bff',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#6c757d',
+  },
+  noteText: {
+    fontSize: 12,
+    color: '#6c757d',
+    marginTop: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  removeButton: {
+    backgroundColor: '#dc3545',
+    marginRight: 10,
+  },
+  doneButton: {
+    backgroundColor: '#007bff',
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,37 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+} from 'react-native';
+import { isTextVisible, getTextPreviewStyles } from '../utils/textOverlays';
+
+export default function TextOverlayLayer({ texts, time, frame }) {
+  const visibleTexts = texts.filter(overlay => overlay.text.trim() && isTextVisible(overlay, time));
+  if (!frame || !frame.width || visibleTexts.length === 0) {
+    return null;
+  }
+
+  return (
+    <View
+      pointerEvents="none"
+      style={[styles.layer, { left: frame.left, top: frame.top, width: frame.width, height: frame.height }]}
+    >
+      {visibleTexts.map(overlay => {
+        const previewStyles = getTextPreviewStyles(overlay, frame);
+        return (
+          <View key={overlay.id} style={[StyleSheet.absoluteFill, previewStyles.container]}>
+            <Text style={previewStyles.text}>{overlay.text}</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  layer: {
+    position: 'absolute',
+    overflow: 'hidden',
+  },
+});
@@ -0,0 +1,349 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import Slider from '@react-native-community/slider';
+import { formatTime } from '../utils/videoUtils';
+import {
+  TEXT_FONTS,
+  TEXT_SIZES,
+  TEXT_COLORS,
+  TEXT_BACKGROUNDS,
+  TEXT_POSITIONS,
+  MIN_TEXT_DURATION,
+  createTextOverlay,
+} from '../utils/textOverlays';
+
+export default function TextOverlaySheet({
+  visible,
+  texts,
+  duration,
+  currentTime,
+  onChange,
+  onClose,
+}) {
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = texts.find(overlay => overlay.id === selectedId) || null;
+
+  // Open on the overlay showing at the playhead, if any
+  useEffect(() => {
+    if (visible) {
+      const current = texts.find(overlay => currentTime >= overlay.startTime && currentTime < overlay.endTime);
+      setSelectedId((current || texts[0])?.id || null);
+    }
+  }, [visible]);
+
+  const updateSelected = (changes) => {
+    onChange(texts.map(overlay => (overlay.id === selectedId ? { ...overlay, ...changes } : overlay)));
+  };
+
+  const handleAdd = () => {
+    const overlay = createTextOverlay(currentTime, duration);
+    onChange([...texts, overlay]);
+    setSelectedId(overlay.id);
+  };
+
+  const handleRemove = () => {
+    const remaining = texts.filter(overlay => overlay.id !== selectedId);
+    onChange(remaining);
+    setSelectedId(remaining[0]?.id || null);
+  };
+
+  const renderChips = (options, value, key) => (
+    <View style={styles.optionRow}>
+      {options.map(option => {
+        const isActive = value === option.id;
+        return (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.option, isActive && styles.activeOption]}
+            onPress={() => updateSelected({ [key]: option.id })}
+          >
+            <Text style={[styles.optionText, isActive && styles.activeOptionText]}>
+              {option.name}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderTimeSlider = (label, value, onComplete) => (
+    <View style={styles.section}>
+      <View style={styles.labelRow}>
+        <Text style={styles.label}>{label}</Text>
+        <Text style={styles.value}>{formatTime(value)}</Text>
+      </View>
+      <Slider
+        value={value}
+        minimumValue={0}
+        maximumValue={duration}
+        step={100}
+        onSlidingComplete={onComplete}
+        minimumTrackTintColor="#007bff"
+        maximumTrackTintColor="#dee2e6"
+        thumbTintColor="#007bff"
+      />
+    </View>
+  );
+
+  const renderEditor = () => (
+    <>
+      <TextInput
+        style={styles.input}
+        value={selected.text}
+        onChangeText={text => updateSelected({ text })}
+        placeholder="Overlay text"
+        multiline
+      />
+
+      <Text style={styles.sectionTitle}>Font</Text>
+      {renderChips(Object.values(TEXT_FONTS), selected.font, 'font')}
+
+      <Text style={styles.sectionTitle}>Size</Text>
+      {renderChips(Object.values(TEXT_SIZES), selected.size, 'size')}
+
+      <Text style={styles.sectionTitle}>Color</Text>
+      <View style={styles.optionRow}>
+        {TEXT_COLORS.map(color => (
+          <TouchableOpacity
+            key={color}
+            style={[styles.swatch, { backgroundColor: color }, selected.color === color && styles.activeSwatch]}
+            onPress={() => updateSelected({ color })}
+          />
+        ))}
+      </View>
+
+      <Text style={styles.sectionTitle}>Background</Text>
+      {renderChips(Object.values(TEXT_BACKGROUNDS), selected.background, 'background')}
+
+      <Text style={styles.sectionTitle}>Position</Text>
+      <View style={styles.positionGrid}>
+        {Object.values(TEXT_POSITIONS).map(position => (
+          <TouchableOpacity
+            key={position.id}
+            style={[styles.positionCell, selected.position === position.id && styles.activeOption]}
+            onPress={() => updateSelected({ position: position.id })}
+          />
+        ))}
+      </View>
+
+      {renderTimeSlider('Show From', selected.startTime, value => updateSelected({
+        startTime: Math.min(value, selected.endTime - MIN_TEXT_DURATION),
+      }))}
+      {renderTimeSlider('Hide At', selected.endTime, value => updateSelected({
+        endTime: Math.max(value, selected.startTime + MIN_TEXT_DURATION),
+      }))}
+    </>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Text Overlays</Text>
+
+          {/* Overlays in the order they were added */}
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.chipRow}
+          >
+            {texts.map(overlay => {
+              const isActive = overlay.id === selectedId;
+              return (
+                <TouchableOpacity
+                  key={overlay.id}
+                  style={[styles.option, isActive && styles.activeOption]}
+                  onPress={() => setSelectedId(overlay.id)}
+                >
+                  <Text style={[styles.optionText, isActive && styles.activeOptionText]} numberOfLines={1}>
+                    {overlay.text.trim() || 'Empty'}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+            <TouchableOpacity style={[styles.option, styles.addOption]} onPress={handleAdd}>
+              <Text style={styles.addOptionText}>+ Add Text</Text>
+            </TouchableOpacity>
+          </ScrollView>
+
+          <ScrollView style={styles.editor} keyboardShouldPersistTaps="handled">
+            {selected ? renderEditor() : (
+              <Text style={styles.hintText}>Add text to show it over the video from the playhead</Text>
+            )}
+          </ScrollView>
+
+          <View style={styles.buttonRow}>
+            {selected && (
+              <TouchableOpacity style={[styles.button, styles.removeButton]} onPress={handleRemove}>
+                <Text style={styles.buttonText}>Remove</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={[styles.button, styles.doneButton]} onPress={onClose}>
+              <Text style={styles.buttonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    maxHeight: '70%',
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    backgroundColor: '#ffffff',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 10,
+  },
+  chipRow: {
+    paddingBottom: 10,
+  },
+  editor: {
+    flexGrow: 0,
+  },
+  input: {
+    minHeight: 44,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    fontSize: 15,
+    color: '#212529',
+  },
+  section: {
+    marginTop: 10,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#495057',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  option: {
+    maxWidth: 140,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#ffffff',
+  },
+  activeOption: {
+    backgroundColor: '#007bff',
+    borderColor: '#0056b3',
+  },
+  optionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  activeOptionText: {
+    color: '#ffffff',
+  },
+  addOption: {
+    borderStyle: 'dashed',
+  },
+  addOptionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#007bff',
+  },
+  swatch: {
+    width: 30,
+    height: 30,
+    marginRight: 10,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+  },
+  activeSwatch: {
+    borderWidth: 3,
+    borderColor: '#007bff',
+  },
+  positionGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    width: 114,
+  },
+  positionCell: {
+    width: 34,
+    height: 22,
+    margin: 2,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#f8f9fa',
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  value: {
+    fontSize: 14,
+    color: '#6c757d',
+    fontVariant: ['tabular-nums'],
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#6c757d',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 15,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  removeButton: {
+    backgroundColor: '#dc3545',
+    marginRight: 10,
+  },
+  doneButton: {
+    backgroundColor: '#007bff',
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+} from 'react-native';
+import { formatTimestamp, timeStringToMillis } from '../utils/videoUtils';
+
+export default function TimeEntryModal({
+  visible,
+  title,
+  initialTime = 0,
+  validate,
+  onSubmit,
+  onCancel,
+}) {
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setText(formatTimestamp(initialTime));
+      setError(null);
+    }
+  }, [visible, initialTime]);
+
+  const handleSubmit = () => {
+    const time = timeStringToMillis(text);
+    if (Number.isNaN(time)) {
+      setError('Enter a time as HH:MM:SS.mmm');
+      return;
+    }
+
+    // validate returns an error message, or null when the time is acceptable
+    const validationError = validate ? validate(time) : null;
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    onSubmit(time);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.dialog}>
+          <Text style={styles.title}>{title}</Text>
+
+          <TextInput
+            style={[styles.input, error && styles.inputError]}
+            value={text}
+            onChangeText={(value) => {
+              setText(value);
+              setError(null);
+            }}
+            placeholder="HH:MM:SS.mmm"
+            keyboardType="numbers-and-punctuation"
+            autoFocus
+            selectTextOnFocus
+            onSubmitEditing={handleSubmit}
+          />
+
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={[styles.button, styles.cancelButton]} onPress={onCancel}>
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.button, styles.submitButton]} onPress={handleSubmit}>
+              <Text style={styles.buttonText}>Set</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  dialog: {
+    width: '80%',
+    padding: 20,
+    borderRadius: 12,
+    backgroundColor: '#ffffff',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 15,
+  },
+  input: {
+    fontSize: 20,
+    fontVariant: ['tabular-nums'],
+    textAlign: 'center',
+    paddingVertical: 10,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    borderRadius: 8,
+    color: '#212529',
+  },
+  inputError: {
+    borderColor: '#dc3545',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#dc3545',
+    marginTop: 6,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#6c757d',
+    marginRight: 5,
+  },
+  submitButton: {
+    backgroundColor: '#007bff',
+    marginLeft: 5,
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,71 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+
+export default function TransformBar({ transform, onRotate, onFlip }) {
+  const buttons = [
+    { key: 'left', label: '↺ Rotate', onPress: () => onRotate(-90) },
+    { key: 'right', label: 'Rotate ↻', onPress: () => onRotate(90) },
+    { key: 'flipH', label: 'Flip H', onPress: () => onFlip('flipH'), active: transform.flipH },
+    { key: 'flipV', label: 'Flip V', onPress: () => onFlip('flipV'), active: transform.flipV },
+  ];
+
+  return (
+    <View style={styles.container}>
+      {buttons.map(button => (
+        <TouchableOpacity
+          key={button.key}
+          style={[styles.button, button.active && styles.activeButton]}
+          onPress={button.onPress}
+        >
+          <Text style={[styles.buttonText, button.active && styles.activeButtonText]}>
+            {button.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+      <Text style={styles.rotationText}>{transform.rotation}°</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    backgroundColor: '#f8f9fa',
+  },
+  button: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#ffffff',
+  },
+  activeButton: {
+    backgroundColor: '#007bff',
+    borderColor: '#0056b3',
+  },
+  buttonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  activeButtonText: {
+    color: '#ffffff',
+  },
+  rotationText: {
+    marginLeft: 'auto',
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6c757d',
+    fontVariant: ['tabular-nums'],
+  },
+});
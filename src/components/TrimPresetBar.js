@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import TimeEntryModal from './TimeEntryModal';
+import { formatTimestamp } from '../utils/videoUtils';
+import { MIN_SEGMENT_DURATION } from '../utils/segmentUtils';
+import { TRIM_PRESETS, getTrimPresetLabel } from '../utils/trimPresets';
+
+export default function TrimPresetBar({ preset, videoDuration, onSelect }) {
+  const [isEditingLength, setIsEditingLength] = useState(false);
+  const firstPreset = preset.id === TRIM_PRESETS.FIRST_SECONDS.id
+    ? preset
+    : TRIM_PRESETS.FIRST_SECONDS;
+
+  const handlePress = (item) => {
+    // The "first N seconds" preset asks for its length
+    if (item.id === TRIM_PRESETS.FIRST_SECONDS.id) {
+      setIsEditingLength(true);
+      return;
+    }
+    onSelect(item);
+  };
+
+  const validateLength = (time) => {
+    if (time < MIN_SEGMENT_DURATION) {
+      return `Length must be at least ${MIN_SEGMENT_DURATION / 1000}s`;
+    }
+    if (time > videoDuration) {
+      return `Length must be within the video (${formatTimestamp(videoDuration)})`;
+    }
+    return null;
+  };
+
+  const handleSubmitLength = (time) => {
+    setIsEditingLength(false);
+    onSelect({ ...TRIM_PRESETS.FIRST_SECONDS, maxDuration: time });
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chipRow}
+      >
+        {Object.values(TRIM_PRESETS).map(item => {
+          const isActive = item.id === preset.id;
+          const label = item.id === TRIM_PRESETS.FIRST_SECONDS.id
+            ? getTrimPresetLabel(firstPreset)
+            : getTrimPresetLabel(item);
+          return (
+            <TouchableOpacity
+              key={item.id}
+              style={[styles.chip, isActive && styles.activeChip]}
+              onPress={() => handlePress(item)}
+            >
+              <Text style={[styles.chipText, isActive && styles.activeChipText]}>
+                {label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      <TimeEntryModal
+        visible={isEditingLength}
+        title="Keep the first..."
+        initialTime={Math.min(firstPreset.maxDuration, videoDuration)}
+        validate={validateLength}
+        onSubmit={handleSubmitLength}
+        onCancel={() => setIsEditingLength(false)}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    backgroundColor: '#f8f9fa',
+  },
+  chipRow: {
+    alignItems: 'center',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#ffffff',
+  },
+  activeChip: {
+    backgroundColor: '#28a745',
+    borderColor: '#1e7e34',
+  },
+  chipText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  activeChipText: {
+    color: '#ffffff',
+  },
+});
@@ -0,0 +1,126 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+} from 'react-native';
+import { formatLongTime, formatFileSize } from '../utils/videoUtils';
+
+const UNKNOWN = 'Unknown';
+
+const getDetailRows = (metadata) => {
+  const {
+    duration,
+    width,
+    height,
+    resolutionName,
+    frameRate,
+    codec,
+    audioCodec,
+    hasAudio,
+    rotation,
+    fileSize,
+    bitrate,
+  } = metadata;
+
+  return [
+    { label: 'Duration', value: duration ? formatLongTime(duration) : UNKNOWN },
+    {
+      label: 'Resolution',
+      value: width && height ? `${width}x${height} (${resolutionName})` : UNKNOWN,
+    },
+    { label: 'Frame Rate', value: frameRate ? `${frameRate} fps` : UNKNOWN },
+    { label: 'Video Codec', value: codec || UNKNOWN },
+    { label: 'Audio Codec', value: hasAudio === false ? 'No audio' : audioCodec || UNKNOWN },
+    { label: 'Rotation', value: `${rotation || 0}°` },
+    { label: 'File Size', value: fileSize ? formatFileSize(fileSize) : UNKNOWN },
+    { label: 'Bitrate', value: bitrate ? `${bitrate} kbps` : UNKNOWN },
+  ];
+};
+
+export default function VideoDetailsPanel({ visible, metadata, onClose }) {
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.dialog}>
+          <Text style={styles.title}>Video Details</Text>
+
+          {metadata ? (
+            getDetailRows(metadata).map(row => (
+              <View key={row.label} style={styles.row}>
+                <Text style={styles.label}>{row.label}</Text>
+                <Text style={styles.value}>{row.value}</Text>
+              </View>
+            ))
+          ) : (
+            <Text style={styles.emptyText}>No details available for this video</Text>
+          )}
+
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Text style={styles.closeButtonText}>Close</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  dialog: {
+    width: '85%',
+    padding: 20,
+    borderRadius: 12,
+    backgroundColor: '#ffffff',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 15,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f3f5',
+  },
+  label: {
+    fontSize: 14,
+    color: '#6c757d',
+  },
+  value: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#212529',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6c757d',
+  },
+  closeButton: {
+    marginTop: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#007bff',
+  },
+  closeButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,18 @@
+import React from 'react';
+import { Image } from 'react-native';
+import { getActiveWatermark, getWatermarkPreviewStyle } from '../utils/watermark';
+
+export default function WatermarkLayer({ watermark, frame }) {
+  const activeWatermark = getActiveWatermark(watermark);
+  if (!activeWatermark || !frame || !frame.width) {
+    return null;
+  }
+
+  return (
+    <Image
+      source={{ uri: activeWatermark.imageUri }}
+      style={getWatermarkPreviewStyle(activeWatermark, frame)}
+      resizeMode="contain"
+    />
+  );
+}
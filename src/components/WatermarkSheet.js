@@ -0,0 +1,276 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Image,
+  Switch,
+  TouchableOpacity,
+  Modal,
+  StyleSheet,
+} from 'react-native';
+import Slider from '@react-native-community/slider';
+import {
+  WATERMARK_CORNERS,
+  MIN_WATERMARK_SCALE,
+  MAX_WATERMARK_SCALE,
+} from '../utils/watermark';
+
+export default function WatermarkSheet({
+  visible,
+  watermark,
+  isPicking,
+  onPickImage,
+  onChange,
+  onRemove,
+  onClose,
+}) {
+  const hasImage = !!watermark?.imageUri;
+
+  const renderSlider = (label, value, displayValue, props) => (
+    <View style={styles.section}>
+      <View style={styles.labelRow}>
+        <Text style={styles.label}>{label}</Text>
+        <Text style={styles.value}>{displayValue}</Text>
+      </View>
+      <Slider
+        value={value}
+        minimumTrackTintColor="#007bff"
+        maximumTrackTintColor="#dee2e6"
+        thumbTintColor="#007bff"
+        {...props}
+      />
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Watermark</Text>
+
+          {hasImage ? (
+            <>
+              <View style={styles.imageRow}>
+                <View style={styles.imageFrame}>
+                  <Image source={{ uri: watermark.imageUri }} style={styles.image} resizeMode="contain" />
+                </View>
+                <View style={styles.imageInfo}>
+                  <Text style={styles.label}>Apply to Exports</Text>
+                  <Switch
+                    value={watermark.enabled}
+                    onValueChange={enabled => onChange({ enabled })}
+                  />
+                </View>
+                <TouchableOpacity
+                  style={[styles.smallButton, isPicking && styles.disabledButton]}
+                  onPress={onPickImage}
+                  disabled={isPicking}
+                >
+                  <Text style={styles.smallButtonText}>{isPicking ? 'Loading...' : 'Replace'}</Text>
+                </TouchableOpacity>
+              </View>
+
+              <Text style={styles.sectionTitle}>Corner</Text>
+              <View style={styles.optionRow}>
+                {Object.values(WATERMARK_CORNERS).map(corner => {
+                  const isActive = watermark.corner === corner.id;
+                  return (
+                    <TouchableOpacity
+                      key={corner.id}
+                      style={[styles.option, isActive && styles.activeOption]}
+                      onPress={() => onChange({ corner: corner.id })}
+                    >
+                      <Text style={[styles.optionText, isActive && styles.activeOptionText]}>
+                        {corner.name}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+
+              {renderSlider('Opacity', watermark.opacity, `${Math.round(watermark.opacity * 100)}%`, {
+                minimumValue: 0.1,
+                maximumValue: 1,
+                step: 0.05,
+                onSlidingComplete: opacity => onChange({ opacity }),
+              })}
+
+              {renderSlider('Size', watermark.scale, `${Math.round(watermark.scale * 100)}% of width`, {
+                minimumValue: MIN_WATERMARK_SCALE,
+                maximumValue: MAX_WATERMARK_SCALE,
+                step: 0.01,
+                onSlidingComplete: scale => onChange({ scale }),
+              })}
+            </>
+          ) : (
+            <TouchableOpacity
+              style={[styles.pickButton, isPicking && styles.disabledButton]}
+              onPress={onPickImage}
+              disabled={isPicking}
+            >
+              <Text style={styles.buttonText}>{isPicking ? 'Loading...' : 'Choose Logo from Library'}</Text>
+            </TouchableOpacity>
+          )}
+
+          <Text style={styles.noteText}>
+            The watermark is your default for every project and is added to each export. PNG logos keep their transparency.
+          </Text>
+
+          <View style={styles.buttonRow}>
+            {hasImage && (
+              <TouchableOpacity style={[styles.button, styles.removeButton]} onPress={onRemove}>
+                <Text style={styles.buttonText}>Remove</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={[styles.button, styles.doneButton]} onPress={onClose}>
+              <Text style={styles.buttonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.3)',
+  },
+  sheet: {
+    padding: 20,
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    backgroundColor: '#ffffff',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 10,
+  },
+  imageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  imageFrame: {
+    width: 56,
+    height: 56,
+    padding: 4,
+    borderRadius: 8,
+    backgroundColor: '#dee2e6',
+  },
+  image: {
+    flex: 1,
+  },
+  imageInfo: {
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginHorizontal: 10,
+  },
+  smallButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 6,
+    backgroundColor: '#6c757d',
+  },
+  smallButtonText: {
+    color: '#ffffff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  pickButton: {
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: '#007bff',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#495057',
+    marginTop: 15,
+    marginBottom: 6,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 6,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#ffffff',
+  },
+  activeOption: {
+    backgroundColor: '#007bff',
+    borderColor: '#0056b3',
+  },
+  optionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  activeOptionText: {
+    color: '#ffffff',
+  },
+  section: {
+    marginTop: 10,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#495057',
+  },
+  value: {
+    fontSize: 14,
+    color: '#6c757d',
+    fontVariant: ['tabular-nums'],
+  },
+  noteText: {
+    fontSize: 12,
+    color: '#6c757d',
+    marginTop: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  removeButton: {
+    backgroundColor: '#dc3545',
+    marginRight: 10,
+  },
+  doneButton: {
+    backgroundColor: '#007bff',
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
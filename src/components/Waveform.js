@@ -0,0 +1,73 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  StyleSheet,
+} from 'react-native';
+import { getWaveform, getWaveformBars } from '../utils/waveformUtils';
+
+const BAR_SPACING = 3;
+
+export default function Waveform({
+  videoUri,
+  startTime,
+  endTime,
+  width,
+  height,
+}) {
+  const [waveform, setWaveform] = useState(null);
+  const barCount = Math.max(1, Math.floor(width / BAR_SPACING));
+
+  useEffect(() => {
+    if (!videoUri) return;
+
+    let cancelled = false;
+    setWaveform(null);
+
+    getWaveform(videoUri)
+      .then(result => {
+        if (!cancelled) setWaveform(result);
+      })
+      .catch(error => console.log('Error loading waveform:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [videoUri]);
+
+  const bars = useMemo(() => (
+    waveform && waveform.peaks.length > 0 && endTime > startTime
+      ? getWaveformBars(waveform, startTime, endTime, barCount)
+      : null
+  ), [waveform, startTime, endTime, barCount]);
+
+  if (!bars) {
+    return null;
+  }
+
+  return (
+    <View style={[styles.container, { width, height }]} pointerEvents="none">
+      {bars.map((peak, index) => (
+        <View
+          key={index}
+          style={[styles.bar, { height: Math.max(1, peak * height) }]}
+        />
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  bar: {
+    width: 2,
+    borderRadius: 1,
+    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+  },
+});
@@ -6,6 +6,7 @@ import { createStackNavigator } from '@react-navigation/stack';
 import VideoSelectionScreen from '../screens/VideoSelectionScreen';
 import VideoTrimmerScreen from '../screens/VideoTrimmerScreen';
 import VideoPlayerScreen from '../screens/VideoPlayerScreen';
+import ExportsScreen from '../screens/ExportsScreen';
 
 const Stack = createStackNavigator();
 
@@ -86,6 +87,28 @@ const AppNavigator = () => {
             },
           }}
         />
+
+        <Stack.Screen
+          name="Exports"
+          component={ExportsScreen}
+          options={{
+            title: 'Exports',
+            cardStyleInterpolator: ({ current, layouts }) => {
+              return {
+                cardStyle: {
+                  transform: [
+                    {
+                      translateX: current.progress.interpolate({
+                        inputRange: [0, 1],
+                        outputRange: [layouts.screen.width, 0],
+                      }),
+                    },
+                  ],
+                },
+              };
+            },
+          }}
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
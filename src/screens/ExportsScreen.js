@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  Alert,
+  StyleSheet,
+  SafeAreaView,
+  StatusBar,
+  ScrollView,
+} from 'react-native';
+import { formatTime } from '../utils/videoUtils';
+import { saveVideoToGallery, saveImageToGallery, getSavedMessage } from '../utils/galleryUtils';
+import { ANIMATION_FORMATS, isAnimationExport } from '../utils/exportSettings';
+import { getVideoFileName } from '../utils/projectStore';
+import {
+  EXPORT_JOB_STATUS,
+  subscribeToExports,
+  cancelExport,
+  retryExport,
+  removeExport,
+} from '../utils/exportQueue';
+
+const STATUS_LABELS = {
+  [EXPORT_JOB_STATUS.QUEUED]: 'Queued',
+  [EXPORT_JOB_STATUS.RUNNING]: 'Exporting',
+  [EXPORT_JOB_STATUS.COMPLETED]: 'Done',
+  [EXPORT_JOB_STATUS.FAILED]: 'Failed',
+  [EXPORT_JOB_STATUS.CANCELLED]: 'Cancelled',
+};
+
+export default function ExportsScreen({ navigation }) {
+  const [jobs, setJobs] = useState([]);
+  const [savingJobId, setSavingJobId] = useState(null);
+
+  useEffect(() => subscribeToExports(setJobs), []);
+
+  const handleSave = async (job) => {
+    if (savingJobId) return;
+
+    setSavingJobId(job.id);
+    const isAnimation = isAnimationExport(job.settings);
+    const label = isAnimation ? 'Animation' : 'Video';
+    try {
+      const save = isAnimation ? saveImageToGallery : saveVideoToGallery;
+      Alert.alert('Saved', getSavedMessage(label, await save(job.outputUri)));
+    } catch (error) {
+      console.log('Error saving video to gallery:', error);
+      Alert.alert('Save Failed', 'Could not save the video to your gallery. Please check media library permissions and try again.');
+    } finally {
+      setSavingJobId(null);
+    }
+  };
+
+  const handleRemove = (job) => {
+    Alert.alert('Remove Export', `Remove "${job.name}" and delete its exported file?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => removeExport(job.id) },
+    ]);
+  };
+
+  const renderActionButton = (label, onPress, style) => (
+    <TouchableOpacity style={[styles.actionButton, style]} onPress={onPress}>
+      <Text style={styles.actionButtonText}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderJob = (job) => {
+    const isActive = job.status === EXPORT_JOB_STATUS.QUEUED || job.status === EXPORT_JOB_STATUS.RUNNING;
+    const progressPercent = Math.round((job.progress || 0) * 100);
+
+    return (
+      <View key={job.id} style={styles.item}>
+        <View style={styles.itemHeader}>
+          <Text style={styles.itemName} numberOfLines={1}>{job.name}</Text>
+          <Text style={[styles.status, styles[`status_${job.status}`]]}>
+            {STATUS_LABELS[job.status]}
+            {job.status === EXPORT_JOB_STATUS.RUNNING ? ` ${progressPercent}%` : ''}
+          </Text>
+        </View>
+        <Text style={styles.itemDetails}>
+          {job.segments.length} segment{job.segments.length === 1 ? '' : 's'} · {formatTime(job.duration)}
+          {isAnimationExport(job.settings) ? ` · ${ANIMATION_FORMATS[job.settings.format].name}` : ''}
+          {job.subtitleUri ? ` · ${getVideoFileName(job.subtitleUri)}` : ''}
+        </Text>
+        {job.error && <Text style={styles.errorText} numberOfLines={2}>{job.error}</Text>}
+
+        {job.status === EXPORT_JOB_STATUS.RUNNING && (
+          <View style={styles.progressBar}>
+            <View style={[styles.progressFill, { width: `${progressPercent}%` }]} />
+          </View>
+        )}
+
+        <View style={styles.actionRow}>
+          {isActive && renderActionButton('Cancel', () => cancelExport(job.id), styles.cancelButton)}
+          {(job.status === EXPORT_JOB_STATUS.FAILED || job.status === EXPORT_JOB_STATUS.CANCELLED) &&
+            renderActionButton('Retry', () => retryExport(job.id), styles.retryButton)}
+          {job.status === EXPORT_JOB_STATUS.COMPLETED &&
+            renderActionButton(savingJobId === job.id ? 'Saving...' : 'Save to Gallery', () => handleSave(job), styles.saveButton)}
+          {!isActive && renderActionButton('Remove', () => handleRemove(job), styles.removeButton)}
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar
+        barStyle="dark-content"
+        backgroundColor="#ffffff"
+        translucent={false}
+      />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButtonText}>Back</Text>
+        </TouchableOpacity>
+        <View style={styles.headerInfo}>
+          <Text style={styles.title}>Exports</Text>
+          <Text style={styles.subtitle}>Exports run one at a time in the background</Text>
+        </View>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {jobs.length === 0 ? (
+          <Text style={styles.emptyText}>No exports yet</Text>
+        ) : (
+          jobs.map(renderJob)
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+    backgroundColor: '#ffffff',
+  },
+  backButton: {
+    marginRight: 15,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+  },
+  backButtonText: {
+    fontSize: 16,
+    color: '#007bff',
+    fontWeight: '600',
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#212529',
+    marginBottom: 2,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#6c757d',
+  },
+  content: {
+    padding: 20,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6c757d',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+  item: {
+    padding: 12,
+    marginBottom: 10,
+    borderRadius: 10,
+    backgroundColor: '#f8f9fa',
+    borderWidth: 1,
+    borderColor: '#e9ecef',
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  itemName: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#212529',
+    marginRight: 10,
+  },
+  itemDetails: {
+    fontSize: 13,
+    color: '#6c757d',
+    marginTop: 2,
+  },
+  status: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: '#6c757d',
+  },
+  status_running: {
+    color: '#007bff',
+  },
+  status_completed: {
+    color: '#28a745',
+  },
+  status_failed: {
+    color: '#dc3545',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#dc3545',
+    marginTop: 4,
+  },
+  progressBar: {
+    height: 6,
+    marginTop: 8,
+    borderRadius: 3,
+    backgroundColor: '#e9ecef',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+    backgroundColor: '#007bff',
+  },
+  actionRow: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  actionButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    borderRadius: 6,
+  },
+  actionButtonText: {
+    color: '#ffffff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  cancelButton: {
+    backgroundColor: '#6c757d',
+  },
+  retryButton: {
+    backgroundColor: '#007bff',
+  },
+  saveButton: {
+    backgroundColor: '#28a745',
+  },
+  removeButton: {
+    backgroundColor: '#dc3545',
+  },
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -8,10 +8,59 @@ import {
   Dimensions,
   SafeAreaView,
   StatusBar,
+  ScrollView,
   Platform,
 } from 'react-native';
-import { Video } from 'expo-av';
+import { Video, Audio } from 'expo-av';
 import { useFocusEffect } from '@react-navigation/native';
+import { saveVideoToGallery, saveImageToGallery, TRIMMED_ALBUM_NAME, getSavedMessage } from '../utils/galleryUtils';
+import {
+  EXPORT_JOB_STATUS,
+  enqueueExport,
+  cancelExport,
+  retryExport,
+  subscribeToExports,
+} from '../utils/exportQueue';
+import { DEFAULT_EXPORT_SETTINGS, isAnimationExport } from '../utils/exportSettings';
+import ExportOptionsSheet from '../components/ExportOptionsSheet';
+import AudioSettingsSheet from '../components/AudioSettingsSheet';
+import MusicSettingsSheet from '../components/MusicSettingsSheet';
+import CaptureFrameSheet from '../components/CaptureFrameSheet';
+import TextOverlaySheet from '../components/TextOverlaySheet';
+import TextOverlayLayer from '../components/TextOverlayLayer';
+import SubtitleSheet from '../components/SubtitleSheet';
+import SubtitleLayer from '../components/SubtitleLayer';
+import WatermarkSheet from '../components/WatermarkSheet';
+import WatermarkLayer from '../components/WatermarkLayer';
+import { resolveClipEdits, getEditedMetadata } from '../utils/clipEdits';
+import { getPreviewVolume, getFadeMultiplier, hasAudioChanges } from '../utils/audioUtils';
+import {
+  MUSIC_SYNC_TOLERANCE,
+  getMusicMixLevels,
+  getMusicPosition,
+  pickMusicTrack,
+} from '../utils/musicUtils';
+import { getCropPreviewLayout, getContainedSize } from '../utils/cropUtils';
+import {
+  hasTransform,
+  getTransformedAspect,
+  getTransformedVideoStyle,
+} from '../utils/transformUtils';
+import { updateProjectEdits } from '../utils/projectStore';
+import { captureFrame, discardFrame, setProjectCover } from '../utils/frameCapture';
+import { mapCuesToOutput, pickSubtitleFile } from '../utils/subtitleUtils';
+import {
+  loadWatermark,
+  updateWatermark,
+  pickWatermarkImage,
+  getActiveWatermark,
+} from '../utils/watermark';
+import {
+  validateSegments,
+  getSegmentsDuration,
+  getSegmentSpeed,
+  getOutputTime,
+} from '../utils/segmentUtils';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
@@ -19,24 +68,133 @@ export default function VideoPlayerScreen({ navigation, route }) {
   // Safe parameter access with fallbacks
   const { 
     videoUri, 
-    startTime = 0, 
-    endTime = 0, 
+    segments: segmentParams,
+    projectId,
+    metadata,
+    settings,
+    edits: initialEdits,
+    batch,
+    batchIndex,
+    startTime: rangeStartTime = 0, 
+    endTime: rangeEndTime = 0, 
     originalDuration = 0,
-    trimmedDuration = 0 
   } = route.params || {};
 
+  // Segments are played back-to-back in list order; a plain range is one segment
+  const segments = useMemo(() => (
+    validateSegments(segmentParams)
+      ? segmentParams
+      : [{ id: 'range', startTime: rangeStartTime, endTime: rangeEndTime }]
+  ), [segmentParams, rangeStartTime, rangeEndTime]);
+  const trimmedDuration = getSegmentsDuration(segments);
+  const startTime = segments[0].startTime;
+
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(startTime);
+  // Preview-only rate on top of each segment's own speed
   const [playbackSpeed, setPlaybackSpeed] = useState(1.0);
   const [isLooping, setIsLooping] = useState(true);
   const [videoLoaded, setVideoLoaded] = useState(false);
   const [isInitialized, setIsInitialized] = useState(false);
   const [videoStatus, setVideoStatus] = useState({});
+  const [segmentIndex, setSegmentIndex] = useState(0);
+  const [exportJob, setExportJob] = useState(null);
+  const [showExportOptions, setShowExportOptions] = useState(false);
+  const [exportSettings, setExportSettings] = useState(DEFAULT_EXPORT_SETTINGS);
+  const [saveStatus, setSaveStatus] = useState('idle'); // idle | saving | saved | error
+  const [edits, setEdits] = useState(() => resolveClipEdits(initialEdits));
+  const [activeTool, setActiveTool] = useState(null);
+  const [isPickingMusic, setIsPickingMusic] = useState(false);
+  const [isCapturingFrame, setIsCapturingFrame] = useState(false);
+  const [isPickingSubtitles, setIsPickingSubtitles] = useState(false);
+  const [watermark, setWatermark] = useState(null);
+  const [isPickingWatermark, setIsPickingWatermark] = useState(false);
+  const [videoLayout, setVideoLayout] = useState({ width: 0, height: 0 });
   const videoRef = useRef(null);
   const initializationAttempted = useRef(false);
+  const segmentIndexRef = useRef(0);
+  const isSeekingRef = useRef(false);
+  const exportJobIdRef = useRef(null);
+  const exportStatusRef = useRef(null);
+  const musicSoundRef = useRef(null);
+  const musicStatusRef = useRef(null);
+  const musicCommandRef = useRef(false);
+
+  // Exports run in the background queue; this screen follows the job it started
+  const isExporting = exportJob?.status === EXPORT_JOB_STATUS.QUEUED ||
+    exportJob?.status === EXPORT_JOB_STATUS.RUNNING;
+  const exportProgress = exportJob?.progress || 0;
+  const exportedUri = exportJob?.status === EXPORT_JOB_STATUS.COMPLETED ? exportJob.outputUri : null;
+
+  // Subtitles are previewed on the output timeline, exactly as they are exported
+  const outputCues = useMemo(() => (
+    edits.subtitles ? mapCuesToOutput(edits.subtitles.cues, segments) : []
+  ), [edits.subtitles, segments]);
+
+  useEffect(() => {
+    return subscribeToExports((jobs) => {
+      const job = jobs.find(item => item.id === exportJobIdRef.current) || null;
+      const previousStatus = exportStatusRef.current;
+      exportStatusRef.current = job ? job.status : null;
+      setExportJob(job);
+
+      if (job && previousStatus && previousStatus !== job.status && job.status === EXPORT_JOB_STATUS.FAILED) {
+        Alert.alert('Export Failed', 'Could not export the trimmed video.', [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Retry', onPress: () => retryExport(job.id) },
+        ]);
+      }
+    });
+  }, []);
+
+  // The watermark is a default shared by every project, not a clip edit
+  useEffect(() => {
+    let isActive = true;
+    loadWatermark().then(result => {
+      if (isActive) setWatermark(result);
+    });
+    return () => {
+      isActive = false;
+    };
+  }, []);
 
   const playbackSpeeds = [0.5, 1.0, 1.25, 1.5, 2.0];
 
+  // Load the background music separately; it is kept in sync with the video on each status update
+  const musicUri = edits.music?.uri;
+  useEffect(() => {
+    if (!musicUri) return;
+
+    let sound = null;
+    let cancelled = false;
+
+    Audio.Sound.createAsync(
+      { uri: musicUri },
+      { shouldPlay: false, progressUpdateIntervalMillis: 100 },
+      (status) => {
+        musicStatusRef.current = status;
+      }
+    )
+      .then(result => {
+        sound = result.sound;
+        if (cancelled) {
+          sound.unloadAsync();
+        } else {
+          musicSoundRef.current = sound;
+        }
+      })
+      .catch(error => console.log('Error loading background music:', error));
+
+    return () => {
+      cancelled = true;
+      musicSoundRef.current = null;
+      musicStatusRef.current = null;
+      if (sound) {
+        sound.unloadAsync();
+      }
+    };
+  }, [musicUri]);
+
   useEffect(() => {
     // Validate required parameters
     if (!videoUri) {
@@ -48,10 +206,18 @@ export default function VideoPlayerScreen({ navigation, route }) {
 
     // Reset initialization flag when component mounts
     initializationAttempted.current = false;
+    segmentIndexRef.current = 0;
+    setSegmentIndex(0);
     setIsInitialized(false);
     setVideoLoaded(false);
     setCurrentTime(startTime);
-  }, [videoUri, startTime, navigation]);
+
+    // A changed edit invalidates any previous export; its job stays on the Exports screen
+    exportJobIdRef.current = null;
+    exportStatusRef.current = null;
+    setExportJob(null);
+    setSaveStatus('idle');
+  }, [videoUri, segments, startTime, navigation]);
 
   // Handle screen focus/blur for video pausing
   useFocusEffect(
@@ -80,6 +246,25 @@ export default function VideoPlayerScreen({ navigation, route }) {
     return unsubscribe;
   }, [navigation, isPlaying]);
 
+  const seekToSegment = async (index) => {
+    const segment = segments[index];
+    if (!videoRef.current || !segment) return;
+
+    isSeekingRef.current = true;
+    segmentIndexRef.current = index;
+    setSegmentIndex(index);
+
+    try {
+      await videoRef.current.setPositionAsync(segment.startTime, {
+        toleranceMillisBefore: 0,
+        toleranceMillisAfter: 0,
+      });
+      setCurrentTime(segment.startTime);
+    } finally {
+      isSeekingRef.current = false;
+    }
+  };
+
   const initializeVideo = async () => {
     if (!videoRef.current || initializationAttempted.current || isInitialized) {
       return;
@@ -96,17 +281,14 @@ export default function VideoPlayerScreen({ navigation, route }) {
       // First, pause the video to prevent auto-play
       await videoRef.current.pauseAsync();
       
-      // Then seek to the start position
-      if (startTime > 0) {
-        console.log('Seeking to start time:', startTime);
-        await videoRef.current.setPositionAsync(startTime);
-        
-        // Wait a bit after seeking
-        await new Promise(resolve => setTimeout(resolve, 500));
-      }
+      // Then seek to the start of the first segment
+      console.log('Seeking to start time:', startTime);
+      await seekToSegment(0);
+      
+      // Wait a bit after seeking
+      await new Promise(resolve => setTimeout(resolve, 500));
       
       // Update states
-      setCurrentTime(startTime);
       setIsInitialized(true);
       setVideoLoaded(true);
       setIsPlaying(false);
@@ -136,11 +318,11 @@ export default function VideoPlayerScreen({ navigation, route }) {
         await videoRef.current.pauseAsync();
         setIsPlaying(false);
       } else {
-        // Before playing, ensure we're in the correct position
-        if (currentTime < startTime || currentTime >= endTime) {
+        // Before playing, ensure we're inside the current segment
+        const segment = segments[segmentIndexRef.current];
+        if (currentTime < segment.startTime || currentTime >= segment.endTime) {
           console.log('Correcting position before play');
-          await videoRef.current.setPositionAsync(startTime);
-          setCurrentTime(startTime);
+          await seekToSegment(segmentIndexRef.current);
         }
         
         await videoRef.current.playAsync();
@@ -151,6 +333,42 @@ export default function VideoPlayerScreen({ navigation, route }) {
     }
   };
 
+  const syncMusicPreview = (time, playing) => {
+    const sound = musicSoundRef.current;
+    const musicStatus = musicStatusRef.current;
+    const { music } = edits;
+    if (!sound || !music || !musicStatus?.isLoaded || musicCommandRef.current) return;
+
+    const position = getMusicPosition(music, time);
+    const shouldPlay = playing && position < music.duration;
+    const volume = getMusicMixLevels(music.mix).music * getFadeMultiplier(edits.audio, time, trimmedDuration);
+    const changes = {};
+
+    if (shouldPlay !== musicStatus.isPlaying) {
+      changes.shouldPlay = shouldPlay;
+    }
+    if (Math.abs(musicStatus.volume - volume) > 0.01) {
+      changes.volume = volume;
+    }
+    if (musicStatus.rate !== playbackSpeed) {
+      changes.rate = playbackSpeed;
+      changes.shouldCorrectPitch = true;
+    }
+    // Music follows the output clock, so segment speeds do not change its rate
+    // Re-align after seeks, segment jumps and drift
+    if (shouldPlay && Math.abs(musicStatus.positionMillis - position) > MUSIC_SYNC_TOLERANCE) {
+      changes.positionMillis = position;
+    }
+    if (Object.keys(changes).length === 0) return;
+
+    musicCommandRef.current = true;
+    sound.setStatusAsync(changes)
+      .catch(error => console.log('Error syncing background music:', error))
+      .finally(() => {
+        musicCommandRef.current = false;
+      });
+  };
+
   const handleVideoStatusUpdate = (status) => {
     if (!status.isLoaded) {
       return;
@@ -170,27 +388,38 @@ export default function VideoPlayerScreen({ navigation, route }) {
       // Update current time
       setCurrentTime(positionMs);
       setIsPlaying(status.isPlaying || false);
+
+      // Ignore stale positions reported while a segment seek is in flight
+      if (isSeekingRef.current) {
+        return;
+      }
+
+      const index = segmentIndexRef.current;
+      const segment = segments[index];
+      syncMusicPreview(getOutputTime(segments, index, positionMs), status.isPlaying || false);
       
-      // Handle end of trim range
-      if (positionMs >= endTime && status.isPlaying) {
-        console.log('Reached end of trim range');
-        
-        if (isLooping) {
-          // Loop back to start time
-          videoRef.current?.setPositionAsync(startTime);
-          setCurrentTime(startTime);
+      // Handle end of the current segment
+      if (status.didJustFinish || (positionMs >= segment.endTime && status.isPlaying)) {
+        if (index < segments.length - 1) {
+          // Continue with the next segment
+          seekToSegment(index + 1);
+        } else if (isLooping) {
+          console.log('Reached end of trim range');
+          // Loop back to the first segment
+          seekToSegment(0);
         } else {
+          console.log('Reached end of trim range');
           // Stop playing
           videoRef.current?.pauseAsync();
           setIsPlaying(false);
         }
+        return;
       }
       
-      // Handle if position goes before start time
-      if (positionMs < startTime && status.isPlaying) {
-        console.log('Position before start time, correcting');
-        videoRef.current?.setPositionAsync(startTime);
-        setCurrentTime(startTime);
+      // Handle if position goes before the segment start
+      if (positionMs < segment.startTime && status.isPlaying) {
+        console.log('Position before segment start, correcting');
+        seekToSegment(index);
       }
     }
   };
@@ -205,7 +434,7 @@ export default function VideoPlayerScreen({ navigation, route }) {
     setPlaybackSpeed(newSpeed);
     
     try {
-      await videoRef.current.setRateAsync(newSpeed, true);
+      await videoRef.current.setRateAsync(getSegmentSpeed(segments[segmentIndexRef.current]) * newSpeed, true);
     } catch (error) {
       console.log('Error changing playback speed:', error);
     }
@@ -219,8 +448,7 @@ export default function VideoPlayerScreen({ navigation, route }) {
     if (!videoRef.current || !videoLoaded || !isInitialized) return;
 
     try {
-      await videoRef.current.setPositionAsync(startTime);
-      setCurrentTime(startTime);
+      await seekToSegment(0);
       await videoRef.current.playAsync();
       setIsPlaying(true);
     } catch (error) {
@@ -239,7 +467,202 @@ export default function VideoPlayerScreen({ navigation, route }) {
       navigation.navigate('VideoTrimmer', {
         videoUri,
         videoDuration: originalDuration,
+        segments,
+        metadata,
+        settings,
+        edits,
+        projectId,
+        batch,
+        batchIndex,
+      });
+    }
+  };
+
+  const handleExport = async (settings) => {
+    setShowExportOptions(false);
+    setExportSettings(settings);
+    if (isExporting) return;
+
+    // Pause video before exporting
+    if (videoRef.current && isPlaying) {
+      videoRef.current.pauseAsync();
+      setIsPlaying(false);
+    }
+
+    try {
+      const job = await enqueueExport({
+        videoUri,
+        segments,
+        settings,
+        metadata,
+        edits,
+        watermark: getActiveWatermark(watermark),
+        projectId,
       });
+      exportJobIdRef.current = job.id;
+      exportStatusRef.current = job.status;
+      setExportJob(job);
+      setSaveStatus('idle');
+    } catch (error) {
+      console.log('Error queueing export:', error);
+      Alert.alert('Export Failed', 'Could not start the export. Please try again.');
+    }
+  };
+
+  const handleEditsChange = async (changes) => {
+    setEdits(current => ({ ...current, ...changes }));
+
+    // Edits are saved with the project and make any previous export stale
+    exportJobIdRef.current = null;
+    exportStatusRef.current = null;
+    setExportJob(null);
+    setSaveStatus('idle');
+    if (projectId) {
+      await updateProjectEdits(projectId, changes);
+    }
+  };
+
+  const handleWatermarkChange = async (changes) => {
+    try {
+      setWatermark(await updateWatermark(changes));
+    } catch (error) {
+      console.log('Error saving watermark:', error);
+    }
+
+    // Like a clip edit, a changed watermark makes any previous export stale
+    exportJobIdRef.current = null;
+    exportStatusRef.current = null;
+    setExportJob(null);
+    setSaveStatus('idle');
+  };
+
+  const handlePickWatermark = async () => {
+    if (isPickingWatermark) return;
+    setIsPickingWatermark(true);
+
+    try {
+      const image = await pickWatermarkImage();
+      if (image) {
+        await handleWatermarkChange({ ...image, enabled: true });
+      }
+    } catch (error) {
+      console.log('Error picking watermark image:', error);
+      Alert.alert('Watermark Error', 'Could not load the selected image. Please try another one.');
+    } finally {
+      setIsPickingWatermark(false);
+    }
+  };
+
+  const handlePickMusic = async () => {
+    if (isPickingMusic) return;
+    setIsPickingMusic(true);
+
+    try {
+      const music = await pickMusicTrack();
+      if (music) {
+        await handleEditsChange({ music });
+      }
+    } catch (error) {
+      console.log('Error picking background music:', error);
+      Alert.alert('Music Error', 'Could not load the selected audio file. Please try another one.');
+    } finally {
+      setIsPickingMusic(false);
+    }
+  };
+
+  const handlePickSubtitles = async () => {
+    if (isPickingSubtitles) return;
+    setIsPickingSubtitles(true);
+
+    try {
+      const subtitles = await pickSubtitleFile();
+      if (subtitles) {
+        await handleEditsChange({ subtitles });
+      }
+    } catch (error) {
+      console.log('Error loading subtitles:', error);
+      Alert.alert('Subtitle Error', 'Could not read subtitles from the selected file. Please choose an SRT or WebVTT file.');
+    } finally {
+      setIsPickingSubtitles(false);
+    }
+  };
+
+  const handleOpenCapture = () => {
+    // Pause so the captured frame is the one on screen
+    if (videoRef.current && isPlaying) {
+      videoRef.current.pauseAsync();
+      setIsPlaying(false);
+    }
+    setActiveTool('frame');
+  };
+
+  const handleCaptureFrame = async (format, destination) => {
+    if (isCapturingFrame) return;
+    setIsCapturingFrame(true);
+
+    let frameUri = null;
+    try {
+      frameUri = await captureFrame(videoUri, currentTime, format);
+      if (destination === 'cover') {
+        await setProjectCover(projectId, frameUri);
+        frameUri = null;
+        Alert.alert('Cover Updated', 'This frame is now the project cover');
+      } else {
+        const { addedToAlbum } = await saveImageToGallery(frameUri);
+        Alert.alert(
+          'Saved',
+          addedToAlbum
+            ? `Frame saved to the "${TRIMMED_ALBUM_NAME}" album`
+            : 'Frame saved to your library'
+        );
+      }
+      setActiveTool(null);
+    } catch (error) {
+      console.log('Error capturing frame:', error);
+      Alert.alert('Capture Failed', 'Could not capture this frame. Please try again.');
+    } finally {
+      if (frameUri) {
+        discardFrame(frameUri);
+      }
+      setIsCapturingFrame(false);
+    }
+  };
+
+  const handleCancelExport = () => {
+    if (exportJob) {
+      cancelExport(exportJob.id);
+    }
+  };
+
+  const handleSaveToGallery = async () => {
+    if (saveStatus === 'saving' || saveStatus === 'saved') return;
+
+    setSaveStatus('saving');
+    const isAnimation = isAnimationExport(exportJob.settings);
+    const label = isAnimation ? 'Animation' : 'Video';
+
+    try {
+      const save = isAnimation ? saveImageToGallery : saveVideoToGallery;
+      const result = await save(exportedUri);
+      setSaveStatus('saved');
+      Alert.alert('Saved', getSavedMessage(label, result));
+    } catch (error) {
+      console.log('Error saving export to gallery:', error);
+      setSaveStatus('error');
+      Alert.alert('Save Failed', `Could not save the ${label.toLowerCase()} to your gallery. Please check media library permissions and try again.`);
+    }
+  };
+
+  const getSaveButtonText = () => {
+    switch (saveStatus) {
+      case 'saving':
+        return 'Saving...';
+      case 'saved':
+        return 'Saved';
+      case 'error':
+        return 'Retry Save';
+      default:
+        return 'Save to Gallery';
     }
   };
 
@@ -272,7 +695,51 @@ export default function VideoPlayerScreen({ navigation, route }) {
     );
   }
 
-  const trimmedProgress = endTime > startTime ? ((currentTime - startTime) / (endTime - startTime)) * 100 : 0;
+  // Crops and transforms are previewed by positioning the video view itself
+  const getVideoLayoutStyles = () => {
+    const canPosition = metadata?.aspectRatio && videoLayout.width > 0;
+    if (!canPosition || (!edits.crop && !hasTransform(edits.transform))) {
+      return null;
+    }
+
+    const frameAspect = getTransformedAspect(metadata.aspectRatio, edits.transform);
+    if (edits.crop) {
+      // Clip an enlarged video to the cropped frame
+      const cropLayout = getCropPreviewLayout(edits.crop, videoLayout, frameAspect);
+      return {
+        frame: [styles.cropFrame, cropLayout.frame],
+        video: [styles.positionedVideo, getTransformedVideoStyle(cropLayout.video, edits.transform)],
+      };
+    }
+
+    const size = getContainedSize(videoLayout, frameAspect);
+    const rect = {
+      left: (videoLayout.width - size.width) / 2,
+      top: (videoLayout.height - size.height) / 2,
+      ...size,
+    };
+    return {
+      frame: styles.video,
+      video: [styles.positionedVideo, getTransformedVideoStyle(rect, edits.transform)],
+    };
+  };
+
+  // Overlays are laid out on the edited frame as it is shown in the container
+  const getOverlayFrame = () => {
+    if (!videoLayout.width) return null;
+    const size = getContainedSize(videoLayout, getEditedMetadata(metadata, edits)?.aspectRatio);
+    return {
+      left: (videoLayout.width - size.width) / 2,
+      top: (videoLayout.height - size.height) / 2,
+      ...size,
+    };
+  };
+
+  const outputTime = getOutputTime(segments, segmentIndex, currentTime);
+  const overlayFrame = getOverlayFrame();
+  const clipVolume = edits.music ? getMusicMixLevels(edits.music.mix).original : 1;
+  const videoLayoutStyles = getVideoLayoutStyles();
+  const trimmedProgress = trimmedDuration > 0 ? (outputTime / trimmedDuration) * 100 : 0;
 
   return (
     <SafeAreaView style={styles.container}>
@@ -296,20 +763,51 @@ export default function VideoPlayerScreen({ navigation, route }) {
             Duration: {formatTime(trimmedDuration)}
           </Text>
         </View>
+        <TouchableOpacity 
+          style={styles.backButton}
+          onPress={() => navigation.navigate('Exports')}
+        >
+          <Text style={styles.backButtonText}>Exports</Text>
+        </TouchableOpacity>
       </View>
 
       {/* Video Player */}
-      <View style={styles.videoContainer}>
-        <Video
-          ref={videoRef}
-          style={styles.video}
-          source={{ uri: videoUri }}
-          useNativeControls={false}
-          resizeMode="contain"
-          isLooping={false}
-          rate={playbackSpeed}
-          shouldPlay={false}
-          onPlaybackStatusUpdate={handleVideoStatusUpdate}
+      <View
+        style={styles.videoContainer}
+        onLayout={event => setVideoLayout(event.nativeEvent.layout)}
+      >
+        <View style={videoLayoutStyles ? videoLayoutStyles.frame : styles.video}>
+          <Video
+            ref={videoRef}
+            style={videoLayoutStyles ? videoLayoutStyles.video : styles.video}
+            source={{ uri: videoUri }}
+            useNativeControls={false}
+            resizeMode={videoLayoutStyles ? 'stretch' : 'contain'}
+            isLooping={false}
+            rate={getSegmentSpeed(segments[segmentIndex]) * playbackSpeed}
+            shouldCorrectPitch
+            shouldPlay={false}
+            isMuted={edits.audio.muted}
+            volume={getPreviewVolume(edits.audio, outputTime, trimmedDuration) * clipVolume}
+            progressUpdateIntervalMillis={100}
+            onPlaybackStatusUpdate={handleVideoStatusUpdate}
+          />
+        </View>
+
+        {/* Text Overlays and Subtitles */}
+        <TextOverlayLayer
+          texts={edits.texts}
+          time={outputTime}
+          frame={overlayFrame}
+        />
+        <SubtitleLayer
+          cues={outputCues}
+          time={outputTime}
+          frame={overlayFrame}
+        />
+        <WatermarkLayer
+          watermark={watermark}
+          frame={overlayFrame}
         />
         
         {/* Loading Indicator */}
@@ -337,11 +835,40 @@ export default function VideoPlayerScreen({ navigation, route }) {
         {isInitialized && (
           <View style={styles.videoInfoOverlay}>
             <Text style={styles.videoInfoText}>
-              {formatTime(currentTime)} / {formatTime(endTime)}
+              {formatTime(outputTime)} / {formatTime(trimmedDuration)}
             </Text>
+            {segments.length > 1 && (
+              <Text style={styles.speedText}>
+                Segment {segmentIndex + 1} of {segments.length}
+              </Text>
+            )}
             <Text style={styles.speedText}>
-              Speed: {playbackSpeed}x {isLooping ? '(Loop)' : ''}
+              Preview: {playbackSpeed}x {isLooping ? '(Loop)' : ''}
+            </Text>
+            {getSegmentSpeed(segments[segmentIndex]) !== 1 && (
+              <Text style={styles.speedText}>
+                Segment speed: {getSegmentSpeed(segments[segmentIndex])}x
+              </Text>
+            )}
+          </View>
+        )}
+        
+        {/* Export Progress Overlay */}
+        {isExporting && (
+          <View style={styles.loadingOverlay}>
+            <Text style={styles.loadingText}>
+              {exportJob.status === EXPORT_JOB_STATUS.QUEUED
+                ? 'Waiting for other exports...'
+                : `Exporting... ${Math.round(exportProgress * 100)}%`}
             </Text>
+            <View style={styles.exportProgressBar}>
+              <View
+                style={[styles.exportProgressFill, { width: `${Math.round(exportProgress * 100)}%` }]}
+              />
+            </View>
+            <TouchableOpacity style={styles.cancelExportButton} onPress={handleCancelExport}>
+              <Text style={styles.cancelExportButtonText}>Cancel</Text>
+            </TouchableOpacity>
           </View>
         )}
         
@@ -372,7 +899,7 @@ export default function VideoPlayerScreen({ navigation, route }) {
           onPress={handleSpeedChange}
           disabled={!isInitialized}
         >
-          <Text style={styles.controlButtonText}>Speed: {playbackSpeed}x</Text>
+          <Text style={styles.controlButtonText}>Preview: {playbackSpeed}x</Text>
         </TouchableOpacity>
         
         <TouchableOpacity 
@@ -385,6 +912,62 @@ export default function VideoPlayerScreen({ navigation, route }) {
         </TouchableOpacity>
       </View>
 
+      {/* Edit Tools */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.toolBar}
+        contentContainerStyle={styles.toolBarContent}
+      >
+        <TouchableOpacity 
+          style={[styles.toolButton, hasAudioChanges(edits.audio) && styles.toolButtonActive]}
+          onPress={() => setActiveTool('audio')}
+        >
+          <Text style={styles.controlButtonText}>
+            {edits.audio.muted ? 'Audio: Muted' : 'Audio'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity 
+          style={[styles.toolButton, edits.music && styles.toolButtonActive]}
+          onPress={() => setActiveTool('music')}
+        >
+          <Text style={styles.controlButtonText}>
+            {edits.music ? 'Music: On' : 'Music'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity 
+          style={[styles.toolButton, edits.texts.length > 0 && styles.toolButtonActive]}
+          onPress={() => setActiveTool('text')}
+        >
+          <Text style={styles.controlButtonText}>
+            {edits.texts.length > 0 ? `Text: ${edits.texts.length}` : 'Text'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity 
+          style={[styles.toolButton, edits.subtitles && styles.toolButtonActive]}
+          onPress={() => setActiveTool('subtitles')}
+        >
+          <Text style={styles.controlButtonText}>
+            {edits.subtitles ? 'Subtitles: On' : 'Subtitles'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity 
+          style={[styles.toolButton, getActiveWatermark(watermark) && styles.toolButtonActive]}
+          onPress={() => setActiveTool('watermark')}
+        >
+          <Text style={styles.controlButtonText}>
+            {getActiveWatermark(watermark) ? 'Watermark: On' : 'Watermark'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity 
+          style={[styles.toolButton, !isInitialized && styles.disabledButton]}
+          onPress={handleOpenCapture}
+          disabled={!isInitialized}
+        >
+          <Text style={styles.controlButtonText}>Capture Frame</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
       {/* Action Buttons */}
       <View style={styles.actionButtons}>
         <TouchableOpacity 
@@ -393,6 +976,31 @@ export default function VideoPlayerScreen({ navigation, route }) {
         >
           <Text style={styles.actionButtonText}>Edit Trim</Text>
         </TouchableOpacity>
+
+        {exportedUri ? (
+          <TouchableOpacity 
+            style={[
+              styles.actionButton,
+              styles.saveButton,
+              saveStatus === 'saved' && styles.saveButtonDone,
+              saveStatus === 'error' && styles.saveButtonError,
+            ]}
+            onPress={handleSaveToGallery}
+            disabled={saveStatus === 'saving' || saveStatus === 'saved'}
+          >
+            <Text style={styles.actionButtonText}>{getSaveButtonText()}</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity 
+            style={[styles.actionButton, styles.exportButton, isExporting && styles.disabledButton]}
+            onPress={() => setShowExportOptions(true)}
+            disabled={isExporting}
+          >
+            <Text style={styles.actionButtonText}>
+              {isExporting ? 'Exporting...' : 'Export'}
+            </Text>
+          </TouchableOpacity>
+        )}
         
         <TouchableOpacity 
           style={[styles.actionButton, styles.newVideoButton]}
@@ -401,6 +1009,70 @@ export default function VideoPlayerScreen({ navigation, route }) {
           <Text style={styles.actionButtonText}>New Video</Text>
         </TouchableOpacity>
       </View>
+
+      <AudioSettingsSheet
+        visible={activeTool === 'audio'}
+        audio={edits.audio}
+        onChange={audio => handleEditsChange({ audio })}
+        onClose={() => setActiveTool(null)}
+      />
+
+      <MusicSettingsSheet
+        visible={activeTool === 'music'}
+        music={edits.music}
+        duration={trimmedDuration}
+        isPicking={isPickingMusic}
+        onPickMusic={handlePickMusic}
+        onChange={music => handleEditsChange({ music })}
+        onClose={() => setActiveTool(null)}
+      />
+
+      <TextOverlaySheet
+        visible={activeTool === 'text'}
+        texts={edits.texts}
+        duration={trimmedDuration}
+        currentTime={outputTime}
+        onChange={texts => handleEditsChange({ texts })}
+        onClose={() => setActiveTool(null)}
+      />
+
+      <SubtitleSheet
+        visible={activeTool === 'subtitles'}
+        subtitles={edits.subtitles}
+        outputCueCount={outputCues.length}
+        isPicking={isPickingSubtitles}
+        onPickSubtitles={handlePickSubtitles}
+        onRemove={() => handleEditsChange({ subtitles: null })}
+        onClose={() => setActiveTool(null)}
+      />
+
+      <WatermarkSheet
+        visible={activeTool === 'watermark'}
+        watermark={watermark}
+        isPicking={isPickingWatermark}
+        onPickImage={handlePickWatermark}
+        onChange={handleWatermarkChange}
+        onRemove={() => handleWatermarkChange({ imageUri: null })}
+        onClose={() => setActiveTool(null)}
+      />
+
+      <CaptureFrameSheet
+        visible={activeTool === 'frame'}
+        time={currentTime}
+        isCapturing={isCapturingFrame}
+        canSetCover={!!projectId}
+        onCapture={handleCaptureFrame}
+        onClose={() => setActiveTool(null)}
+      />
+
+      <ExportOptionsSheet
+        visible={showExportOptions}
+        metadata={getEditedMetadata(metadata, edits)}
+        duration={trimmedDuration}
+        initialSettings={exportSettings}
+        onExport={handleExport}
+        onCancel={() => setShowExportOptions(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -472,6 +1144,13 @@ const styles = StyleSheet.create({
   video: {
     flex: 1,
   },
+  cropFrame: {
+    position: 'absolute',
+    overflow: 'hidden',
+  },
+  positionedVideo: {
+    position: 'absolute',
+  },
   loadingOverlay: {
     position: 'absolute',
     top: 0,
@@ -487,6 +1166,31 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  exportProgressBar: {
+    width: '60%',
+    height: 6,
+    marginTop: 12,
+    borderRadius: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+    overflow: 'hidden',
+  },
+  exportProgressFill: {
+    height: '100%',
+    backgroundColor: '#28a745',
+  },
+  cancelExportButton: {
+    marginTop: 15,
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.5)',
+  },
+  cancelExportButtonText: {
+    color: '#ffffff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   videoControlsOverlay: {
     position: 'absolute',
     top: 0,
@@ -583,6 +1287,24 @@ const styles = StyleSheet.create({
   loopButtonTextActive: {
     color: '#ffffff',
   },
+  toolBar: {
+    flexGrow: 0,
+    backgroundColor: '#1a1a1a',
+  },
+  toolBarContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 5,
+  },
+  toolButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginHorizontal: 5,
+    borderRadius: 6,
+    backgroundColor: '#333',
+  },
+  toolButtonActive: {
+    backgroundColor: '#007bff',
+  },
   actionButtons: {
     flexDirection: 'row',
     paddingHorizontal: 20,
@@ -599,6 +1321,18 @@ const styles = StyleSheet.create({
   editButton: {
     backgroundColor: '#ffc107',
   },
+  exportButton: {
+    backgroundColor: '#28a745',
+  },
+  saveButton: {
+    backgroundColor: '#17a2b8',
+  },
+  saveButtonDone: {
+    backgroundColor: '#28a745',
+  },
+  saveButtonError: {
+    backgroundColor: '#dc3545',
+  },
   newVideoButton: {
     backgroundColor: '#007bff',
   },
@@ -7,10 +7,17 @@ import {
   StyleSheet, 
   SafeAreaView, 
   StatusBar,
+  ScrollView,
   Platform 
 } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
 import * as ImagePicker from 'expo-image-picker';
 import * as MediaLibrary from 'expo-media-library';
+import RecentProjects from '../components/RecentProjects';
+import { loadProjects, deleteProject, isSourceAvailable } from '../utils/projectStore';
+import { getVideoMetadata } from '../utils/videoMetadata';
+
+const RECENT_PROJECT_COUNT = 5;
 
 export default function VideoSelectionScreen({ navigation, route }) {
   // Safe parameter access with fallback
@@ -18,11 +25,74 @@ export default function VideoSelectionScreen({ navigation, route }) {
   
   const [hasPermissions, setHasPermissions] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [recentProjects, setRecentProjects] = useState([]);
 
   useEffect(() => {
     requestPermissions();
   }, []);
 
+  // Refresh recent projects whenever the screen is shown
+  useFocusEffect(
+    React.useCallback(() => {
+      refreshRecentProjects();
+    }, [])
+  );
+
+  const refreshRecentProjects = async () => {
+    try {
+      const projects = (await loadProjects()).slice(0, RECENT_PROJECT_COUNT);
+      const withAvailability = await Promise.all(
+        projects.map(async project => ({
+          ...project,
+          isMissing: !(await isSourceAvailable(project)),
+        }))
+      );
+      setRecentProjects(withAvailability);
+    } catch (error) {
+      console.log('Error loading recent projects:', error);
+    }
+  };
+
+  const handleOpenProject = (project) => {
+    if (project.isMissing) {
+      Alert.alert(
+        'Video Not Found',
+        'The source video for this project has been moved or deleted.',
+        [
+          { text: 'Keep', style: 'cancel' },
+          { text: 'Remove Project', style: 'destructive', onPress: () => removeProject(project) },
+        ]
+      );
+      return;
+    }
+
+    navigation.navigate('VideoTrimmer', {
+      videoUri: project.videoUri,
+      videoDuration: project.videoDuration,
+      segments: project.segments,
+      settings: project.settings,
+      metadata: project.metadata,
+      edits: project.edits,
+      projectId: project.id,
+    });
+  };
+
+  const removeProject = async (project) => {
+    try {
+      await deleteProject(project.id);
+      refreshRecentProjects();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to delete project');
+    }
+  };
+
+  const handleDeleteProject = (project) => {
+    Alert.alert('Delete Project', `Delete "${project.name}"? The video itself is not affected.`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => removeProject(project) },
+    ]);
+  };
+
   const requestPermissions = async () => {
     try {
       const { status: mediaLibraryStatus } = await MediaLibrary.requestPermissionsAsync();
@@ -38,6 +108,42 @@ export default function VideoSelectionScreen({ navigation, route }) {
     }
   };
 
+  const openVideos = async (videos) => {
+    // Probe one at a time; unreadable videos are left out of the batch
+    const batch = [];
+    for (const video of videos) {
+      try {
+        const metadata = await getVideoMetadata(video);
+        batch.push({
+          videoUri: video.uri,
+          assetId: video.assetId || null,
+          videoDuration: metadata.duration,
+          metadata,
+          projectId: null,
+        });
+      } catch (error) {
+        console.log('Error reading video metadata:', error);
+      }
+    }
+
+    if (batch.length === 0) {
+      Alert.alert('Unsupported Video', 'Could not read the length of this video.');
+      return;
+    }
+    if (batch.length < videos.length) {
+      Alert.alert('Some Videos Skipped', `${videos.length - batch.length} video(s) could not be read and were skipped.`);
+    }
+
+    const [first] = batch;
+    navigation.navigate('VideoTrimmer', {
+      videoUri: first.videoUri,
+      assetId: first.assetId,
+      videoDuration: first.videoDuration,
+      metadata: first.metadata,
+      ...(batch.length > 1 ? { batch, batchIndex: 0 } : {}),
+    });
+  };
+
   const pickVideo = async () => {
     if (!hasPermissions) {
       Alert.alert('Error', 'Permissions not granted');
@@ -50,17 +156,13 @@ export default function VideoSelectionScreen({ navigation, route }) {
       const result = await ImagePicker.launchImageLibraryAsync({
         mediaTypes: ImagePicker.MediaTypeOptions.Videos,
         allowsEditing: false,
+        allowsMultipleSelection: true,
+        orderedSelection: true,
         quality: 1,
       });
 
       if (!result.canceled && result.assets && result.assets.length > 0) {
-        const video = result.assets[0];
-        
-        // Navigate with parameters
-        navigation.navigate('VideoTrimmer', {
-          videoUri: video.uri,
-          videoDuration: video.duration || 10000, // fallback duration
-        });
+        await openVideos(result.assets);
       }
     } catch (error) {
       Alert.alert('Error', 'Failed to select video');
@@ -85,13 +187,7 @@ export default function VideoSelectionScreen({ navigation, route }) {
       });
 
       if (!result.canceled && result.assets && result.assets.length > 0) {
-        const video = result.assets[0];
-        
-        // Navigate with parameters
-        navigation.navigate('VideoTrimmer', {
-          videoUri: video.uri,
-          videoDuration: video.duration || 10000, // fallback duration
-        });
+        await openVideos(result.assets);
       }
     } catch (error) {
       Alert.alert('Error', 'Failed to record video');
@@ -108,7 +204,7 @@ export default function VideoSelectionScreen({ navigation, route }) {
         translucent={false}
       />
       
-      <View style={styles.content}>
+      <ScrollView contentContainerStyle={styles.content}>
         <View style={styles.header}>
           <Text style={styles.title}>Video Trimmer App</Text>
           <Text style={styles.subtitle}>Select or record a video to trim</Text>
@@ -121,7 +217,7 @@ export default function VideoSelectionScreen({ navigation, route }) {
             disabled={!hasPermissions || isLoading}
           >
             <Text style={styles.buttonText}>
-              {isLoading ? 'Loading...' : 'Select Video from Gallery'}
+              {isLoading ? 'Loading...' : 'Select Videos from Gallery'}
             </Text>
           </TouchableOpacity>
 
@@ -134,6 +230,13 @@ export default function VideoSelectionScreen({ navigation, route }) {
               {isLoading ? 'Loading...' : 'Record New Video'}
             </Text>
           </TouchableOpacity>
+
+          <TouchableOpacity 
+            style={[styles.button, styles.tertiaryButton]} 
+            onPress={() => navigation.navigate('Exports')}
+          >
+            <Text style={styles.tertiaryButtonText}>Exports</Text>
+          </TouchableOpacity>
         </View>
 
         {!hasPermissions && (
@@ -149,7 +252,13 @@ export default function VideoSelectionScreen({ navigation, route }) {
             </TouchableOpacity>
           </View>
         )}
-      </View>
+
+        <RecentProjects
+          projects={recentProjects}
+          onOpen={handleOpenProject}
+          onDelete={handleDeleteProject}
+        />
+      </ScrollView>
     </SafeAreaView>
   );
 }
@@ -160,7 +269,7 @@ const styles = StyleSheet.create({
     backgroundColor: '#f9fafb',
   },
   content: {
-    flex: 1,
+    flexGrow: 1,
     justifyContent: 'center',
     alignItems: 'center',
     padding: 20,
@@ -200,6 +309,17 @@ const styles = StyleSheet.create({
   secondaryButton: {
     backgroundColor: '#10b981',
   },
+  tertiaryButton: {
+    backgroundColor: '#ffffff',
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+  },
+  tertiaryButtonText: {
+    color: '#374151',
+    fontSize: 16,
+    fontWeight: '600',
+    textAlign: 'center',
+  },
   buttonText: {
     color: 'white',
     fontSize: 16,
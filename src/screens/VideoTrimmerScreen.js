@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   View,
   Text,
@@ -9,24 +9,179 @@ import {
   SafeAreaView,
   StatusBar,
   Platform,
+  Image,
 } from 'react-native';
 import { Video } from 'expo-av';
 import { useFocusEffect } from '@react-navigation/native';
 import CustomTimelineSlider from '../components/CustomTimelineSlider';
+import SegmentList from '../components/SegmentList';
+import VideoDetailsPanel from '../components/VideoDetailsPanel';
+import TrimPresetBar from '../components/TrimPresetBar';
+import CropOverlay from '../components/CropOverlay';
+import CropPresetBar from '../components/CropPresetBar';
+import TransformBar from '../components/TransformBar';
+import ColorGradeBar from '../components/ColorGradeBar';
+import CaptureFrameSheet from '../components/CaptureFrameSheet';
+import {
+  MIN_SEGMENT_DURATION,
+  createSegment,
+  updateSegment,
+  addSegment,
+  splitSegment,
+  removeSegment,
+  moveSegment,
+  validateSegments,
+  getSegmentsDuration,
+  getSegmentSpeed,
+} from '../utils/segmentUtils';
+import { debounce, formatTime } from '../utils/videoUtils';
+import {
+  TRIM_PRESETS,
+  resolveTrimPreset,
+  getPresetTrimPoints,
+  getSegmentMaxDuration,
+} from '../utils/trimPresets';
+import {
+  createProject,
+  updateProject,
+  updateProjectEdits,
+  getProject,
+} from '../utils/projectStore';
+import { createCrop, getContainedSize } from '../utils/cropUtils';
+import {
+  hasTransform,
+  isQuarterTurn,
+  rotateTransform,
+  getTransformedAspect,
+  getTransformedVideoStyle,
+} from '../utils/transformUtils';
+import { resolveClipEdits } from '../utils/clipEdits';
+import {
+  COLOR_PRESETS,
+  hasColorGrade,
+  getColorPresetId,
+  getPresetGrade,
+  renderGradePreview,
+  discardGradePreview,
+} from '../utils/colorGrade';
+import { getVideoMetadata } from '../utils/videoMetadata';
+import { captureFrame, discardFrame, setProjectCover } from '../utils/frameCapture';
+import { saveImageToGallery, TRIMMED_ALBUM_NAME } from '../utils/galleryUtils';
+import {
+  createHistory,
+  pushHistory,
+  replacePresent,
+  endCoalescing,
+  undoHistory,
+  redoHistory,
+  canUndo,
+  canRedo,
+} from '../utils/editHistory';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
+// The trimmer edits the picture (crop, transform and color grade); the other clip edits belong to the player
+const getPictureEdits = (edits) => {
+  const { crop, transform, color } = resolveClipEdits(edits);
+  return { crop, transform, color };
+};
+
 export default function VideoTrimmerScreen({ navigation, route }) {
   // Safe parameter access with fallbacks
-  const { videoUri, videoDuration } = route.params || {};
+  const {
+    videoUri,
+    assetId,
+    videoDuration,
+    segments: initialSegments,
+    settings: initialSettings,
+    metadata: initialMetadata,
+    edits: initialEdits,
+    projectId,
+    batch,
+    batchIndex = 0,
+  } = route.params || {};
   
-  const [startTime, setStartTime] = useState(0);
-  const [endTime, setEndTime] = useState(0);
+  // Segments, selection, crop, transform and color live in an undoable edit history
+  const [history, setHistory] = useState(() => createHistory({
+    segments: [],
+    activeSegmentId: null,
+    ...getPictureEdits(null),
+  }));
+  const { segments, activeSegmentId, crop, transform, color } = history.present;
   const [currentTime, setCurrentTime] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [videoStatus, setVideoStatus] = useState({});
+  const [metadata, setMetadata] = useState(initialMetadata || null);
+  const [showDetails, setShowDetails] = useState(false);
+  const [showCapture, setShowCapture] = useState(false);
+  const [isCapturingFrame, setIsCapturingFrame] = useState(false);
+  const [trimPreset, setTrimPreset] = useState(() => resolveTrimPreset(initialSettings?.trimPreset));
+  const [isFraming, setIsFraming] = useState(false);
+  const [isGrading, setIsGrading] = useState(false);
+  const [isComparing, setIsComparing] = useState(false);
+  const [gradePreviewUri, setGradePreviewUri] = useState(null);
+  const [videoLayout, setVideoLayout] = useState({ width: 0, height: 0 });
   const videoRef = useRef(null);
+  const projectIdRef = useRef(projectId || batch?.[batchIndex]?.projectId || null);
+  const saveQueueRef = useRef(Promise.resolve());
+
+  // Saves run one at a time so a new video only ever creates one project
+  // Picture edits are merged into the clip edits, next to the player's audio edits
+  const persistProject = useRef(({ edits: pictureEdits, ...data }) => {
+    saveQueueRef.current = saveQueueRef.current.then(async () => {
+      try {
+        if (projectIdRef.current && await updateProject(projectIdRef.current, data)) {
+          await updateProjectEdits(projectIdRef.current, pictureEdits);
+          return;
+        }
+        const project = await createProject({ ...data, assetId, edits: pictureEdits });
+        projectIdRef.current = project.id;
+      } catch (error) {
+        console.log('Error saving project:', error);
+      }
+    });
+    return saveQueueRef.current;
+  }).current;
+
+  // Autosave the edit so it can be reopened from Recent Projects
+  const saveProject = useRef(debounce(persistProject, 500)).current;
+
+  // Handles and preview always act on the active segment
+  const activeSegment = segments.find(segment => segment.id === activeSegmentId) || segments[0];
+  const startTime = activeSegment ? activeSegment.startTime : 0;
+  const endTime = activeSegment ? activeSegment.endTime : 0;
+  // Longest the active segment may be without the output exceeding the preset limit
+  const segmentMaxDuration = Math.max(
+    MIN_SEGMENT_DURATION,
+    getSegmentMaxDuration(segments, activeSegment?.id, trimPreset.maxDuration)
+  );
+
+  const getProjectSettings = useCallback(() => ({
+    activeSegmentId,
+    trimPreset: { id: trimPreset.id, maxDuration: trimPreset.maxDuration },
+  }), [activeSegmentId, trimPreset]);
+
+  const getProjectData = useCallback(() => ({
+    videoUri,
+    videoDuration,
+    metadata,
+    segments,
+    settings: getProjectSettings(),
+    edits: { crop, transform, color },
+  }), [videoUri, videoDuration, metadata, segments, getProjectSettings, crop, transform, color]);
+
+  // Batch entries remember the project holding each clip's trim
+  const getUpdatedBatch = () => {
+    if (!batch) return undefined;
+    return batch.map((item, index) => (
+      index === batchIndex ? { ...item, projectId: projectIdRef.current } : item
+    ));
+  };
+
+  const applyEdit = (updater, coalesceKey = null) => {
+    setHistory(current => pushHistory(current, updater(current.present), coalesceKey));
+  };
 
   useEffect(() => {
     // Validate required parameters
@@ -37,14 +192,86 @@ export default function VideoTrimmerScreen({ navigation, route }) {
       return;
     }
     
-    // Set initial values
-    if (videoDuration) {
-      const initialEndTime = Math.min(videoDuration, 30000); // Max 30 seconds
-      setEndTime(initialEndTime);
+    const pictureEdits = getPictureEdits(initialEdits);
+
+    // Resume previous segments when coming back from the player
+    if (validateSegments(initialSegments)) {
+      const savedActiveId = initialSettings?.activeSegmentId;
+      setHistory(createHistory({
+        segments: initialSegments,
+        activeSegmentId: initialSegments.some(segment => segment.id === savedActiveId)
+          ? savedActiveId
+          : initialSegments[0].id,
+        ...pictureEdits,
+      }));
+    } else if (videoDuration) {
+      const { startTime: initialStartTime, endTime: initialEndTime } = getPresetTrimPoints(
+        resolveTrimPreset(initialSettings?.trimPreset),
+        videoDuration
+      );
+      const initialSegment = createSegment(initialStartTime, initialEndTime);
+      setHistory(createHistory({ segments: [initialSegment], activeSegmentId: initialSegment.id, ...pictureEdits }));
     }
     
     setIsLoading(false);
-  }, [videoUri, videoDuration, navigation]);
+  }, [videoUri, videoDuration, initialSegments, initialSettings, initialEdits, navigation]);
+
+  // Projects saved before metadata probing existed are probed on open
+  useEffect(() => {
+    if (!videoUri || metadata) return;
+
+    let isActive = true;
+    getVideoMetadata({ uri: videoUri, duration: videoDuration })
+      .then(result => {
+        if (isActive) setMetadata(result);
+      })
+      .catch(error => console.log('Error reading video metadata:', error));
+
+    return () => {
+      isActive = false;
+    };
+  }, [videoUri, videoDuration, metadata]);
+
+  useEffect(() => {
+    if (!videoUri || segments.length === 0) return;
+
+    saveProject(getProjectData());
+  }, [videoUri, segments, getProjectData, saveProject]);
+
+  // The video view cannot be graded, so a graded still of the paused frame is shown over it
+  const showGradePreview = isGrading && !isPlaying && hasColorGrade(color);
+  useEffect(() => {
+    if (!showGradePreview) {
+      setGradePreviewUri(null);
+      return;
+    }
+
+    let isActive = true;
+    const timer = setTimeout(() => {
+      renderGradePreview(videoUri, currentTime, color)
+        .then(previewUri => {
+          if (isActive) {
+            setGradePreviewUri(previewUri);
+          } else {
+            discardGradePreview(previewUri);
+          }
+        })
+        .catch(error => console.log('Error rendering grade preview:', error));
+    }, 300);
+
+    return () => {
+      isActive = false;
+      clearTimeout(timer);
+    };
+  }, [showGradePreview, videoUri, currentTime, color]);
+
+  // Replaced stills are deleted as soon as they are off screen
+  useEffect(() => {
+    if (!gradePreviewUri) return;
+    return () => {
+      discardGradePreview(gradePreviewUri);
+    };
+  }, [gradePreviewUri]);
 
   // Handle screen focus/blur for video pausing
   useFocusEffect(
@@ -95,16 +322,27 @@ export default function VideoTrimmerScreen({ navigation, route }) {
       setCurrentTime(status.positionMillis || 0);
       setIsPlaying(status.isPlaying || false);
       
-      // If video reaches end time, loop back to start time
-      if (status.positionMillis >= endTime) {
+      // If playback reaches end time, loop back to start time
+      // (paused seeks to the end handle are left alone so the frame stays visible)
+      if (status.isPlaying && status.positionMillis >= endTime) {
         videoRef.current?.setPositionAsync(startTime);
       }
     }
   };
 
   const handleStartTimeChange = (newStartTime) => {
-    const clampedStartTime = Math.max(0, Math.min(endTime - 1000, newStartTime));
-    setStartTime(clampedStartTime);
+    if (!activeSegment) return;
+
+    const clampedStartTime = Math.max(
+      0,
+      endTime - segmentMaxDuration,
+      Math.min(endTime - MIN_SEGMENT_DURATION, newStartTime)
+    );
+    // A whole drag of one handle becomes a single undo step
+    applyEdit(present => ({
+      ...present,
+      segments: updateSegment(present.segments, activeSegment.id, { startTime: clampedStartTime }),
+    }), `start-${activeSegment.id}`);
     
     // If current time is before new start time, seek to start time
     if (currentTime < clampedStartTime) {
@@ -113,8 +351,16 @@ export default function VideoTrimmerScreen({ navigation, route }) {
   };
 
   const handleEndTimeChange = (newEndTime) => {
-    const clampedEndTime = Math.max(startTime + 1000, Math.min(videoDuration, newEndTime));
-    setEndTime(clampedEndTime);
+    if (!activeSegment) return;
+
+    const clampedEndTime = Math.max(
+      startTime + MIN_SEGMENT_DURATION,
+      Math.min(videoDuration, startTime + segmentMaxDuration, newEndTime)
+    );
+    applyEdit(present => ({
+      ...present,
+      segments: updateSegment(present.segments, activeSegment.id, { endTime: clampedEndTime }),
+    }), `end-${activeSegment.id}`);
     
     // If current time is after new end time, seek to end time
     if (currentTime > clampedEndTime) {
@@ -122,6 +368,232 @@ export default function VideoTrimmerScreen({ navigation, route }) {
     }
   };
 
+  const handleSeek = (time) => {
+    // Exact seek so frame nudges show the frame at the handle
+    videoRef.current?.setPositionAsync(time, {
+      toleranceMillisBefore: 0,
+      toleranceMillisAfter: 0,
+    });
+  };
+
+  const handleChangeComplete = () => {
+    setHistory(endCoalescing);
+  };
+
+  const handleUndo = () => {
+    setHistory(undoHistory);
+  };
+
+  const handleRedo = () => {
+    setHistory(redoHistory);
+  };
+
+  const activateSegment = (segment) => {
+    // Selecting a segment is not an edit, so it is not recorded for undo
+    setHistory(current => replacePresent(current, { ...current.present, activeSegmentId: segment.id }));
+    videoRef.current?.setPositionAsync(segment.startTime);
+  };
+
+  const handleSelectSegment = (segmentId) => {
+    const segment = segments.find(item => item.id === segmentId);
+    if (segment) {
+      activateSegment(segment);
+    }
+  };
+
+  const handleAddSegment = () => {
+    const result = addSegment(segments, activeSegmentId, currentTime, videoDuration);
+    const allowedDuration = getSegmentMaxDuration(result.segments, result.segment.id, trimPreset.maxDuration);
+    if (allowedDuration < MIN_SEGMENT_DURATION) {
+      Alert.alert('Limit Reached', `The ${trimPreset.name} preset allows at most ${formatTime(trimPreset.maxDuration)} in total.`);
+      return;
+    }
+
+    // Shorten the new segment so the total stays within the preset limit
+    const newSegments = updateSegment(result.segments, result.segment.id, {
+      endTime: Math.min(result.segment.endTime, result.segment.startTime + allowedDuration),
+    });
+    applyEdit(present => ({ ...present, segments: newSegments, activeSegmentId: result.segment.id }));
+    videoRef.current?.setPositionAsync(result.segment.startTime);
+  };
+
+  const handleSplitSegment = () => {
+    if (!activeSegment) return;
+
+    const result = splitSegment(segments, activeSegment.id, currentTime);
+    if (!result) {
+      Alert.alert(
+        'Cannot Split',
+        'Move the playhead inside the selected segment, at least 1 second away from either edge.'
+      );
+      return;
+    }
+
+    applyEdit(present => ({ ...present, segments: result.segments, activeSegmentId: result.segment.id }));
+  };
+
+  const handleRemoveSegment = () => {
+    if (!activeSegment) return;
+
+    if (segments.length <= 1) {
+      Alert.alert('Cannot Remove', 'At least one segment is required');
+      return;
+    }
+
+    const index = segments.findIndex(segment => segment.id === activeSegment.id);
+    const remaining = removeSegment(segments, activeSegment.id);
+    const nextActive = remaining[Math.min(index, remaining.length - 1)];
+    applyEdit(present => ({ ...present, segments: remaining, activeSegmentId: nextActive.id }));
+    videoRef.current?.setPositionAsync(nextActive.startTime);
+  };
+
+  const handleMoveSegment = (direction) => {
+    if (!activeSegment) return;
+    applyEdit(present => ({
+      ...present,
+      segments: moveSegment(present.segments, activeSegment.id, direction),
+    }));
+  };
+
+  const handleSpeedChange = (speed) => {
+    if (!activeSegment) return;
+
+    const newSegments = updateSegment(segments, activeSegment.id, { speed });
+    // Slowing down lengthens the output, which must stay within the preset limit
+    if (trimPreset.maxDuration && getSegmentsDuration(newSegments) > trimPreset.maxDuration) {
+      Alert.alert('Limit Reached', `The ${trimPreset.name} preset allows at most ${formatTime(trimPreset.maxDuration)} in total.`);
+      return;
+    }
+
+    applyEdit(present => ({ ...present, segments: newSegments }));
+  };
+
+  const handleSelectPreset = (preset) => {
+    setTrimPreset(preset);
+    if (!activeSegment || !videoDuration) return;
+
+    let range = getPresetTrimPoints(preset, videoDuration);
+    if (preset.maxDuration) {
+      // Select as much as the limit allows, counting the other segments
+      const allowedDuration = Math.min(
+        range.duration,
+        Math.max(MIN_SEGMENT_DURATION, getSegmentMaxDuration(segments, activeSegment.id, preset.maxDuration))
+      );
+      // Platform limits keep the active segment's start; "first N seconds" starts at 0
+      const rangeStart = preset.id === TRIM_PRESETS.FIRST_SECONDS.id
+        ? 0
+        : Math.min(activeSegment.startTime, videoDuration - allowedDuration);
+      range = { startTime: rangeStart, endTime: rangeStart + allowedDuration };
+    }
+
+    applyEdit(present => ({
+      ...present,
+      segments: updateSegment(present.segments, activeSegment.id, {
+        startTime: range.startTime,
+        endTime: range.endTime,
+      }),
+    }));
+    videoRef.current?.setPositionAsync(range.startTime);
+  };
+
+  const handleSelectCrop = (presetId) => {
+    if (presetId && !metadata?.aspectRatio) {
+      Alert.alert('Please Wait', 'The video size is still being read. Try again in a moment.');
+      return;
+    }
+    applyEdit(present => ({
+      ...present,
+      crop: presetId ? createCrop(presetId, getTransformedAspect(metadata.aspectRatio, present.transform)) : null,
+    }));
+  };
+
+  const handleRotate = (degrees) => {
+    applyEdit(present => {
+      const nextTransform = rotateTransform(present.transform, degrees);
+      // A quarter turn changes the frame's shape, so the crop is fitted again
+      const refitCrop = present.crop && metadata?.aspectRatio && isQuarterTurn(Math.abs(degrees));
+      return {
+        ...present,
+        transform: nextTransform,
+        crop: refitCrop
+          ? createCrop(present.crop.aspect, getTransformedAspect(metadata.aspectRatio, nextTransform))
+          : present.crop,
+      };
+    });
+  };
+
+  const handleFlip = (axis) => {
+    applyEdit(present => ({
+      ...present,
+      transform: { ...present.transform, [axis]: !present.transform[axis] },
+    }));
+  };
+
+  const handleCropChange = (nextCrop) => {
+    // A whole drag or pinch of the crop becomes a single undo step
+    applyEdit(present => ({ ...present, crop: nextCrop }), 'crop');
+  };
+
+  const handleSelectColorPreset = (presetId) => {
+    applyEdit(present => ({ ...present, color: getPresetGrade(presetId) }));
+  };
+
+  const handleAdjustColor = (key, value) => {
+    // Slider steps are rounded so presets are recognized again when dialled back in
+    const rounded = Math.round(value * 100) / 100;
+    applyEdit(present => ({ ...present, color: { ...present.color, [key]: rounded } }));
+  };
+
+  const handleToggleGrading = () => {
+    setIsFraming(false);
+    setIsComparing(false);
+    setIsGrading(!isGrading);
+  };
+
+  const handleOpenCapture = () => {
+    // Pause so the captured frame is the one on screen
+    if (videoRef.current && isPlaying) {
+      videoRef.current.pauseAsync();
+      setIsPlaying(false);
+    }
+    setShowCapture(true);
+  };
+
+  const handleCaptureFrame = async (format, destination) => {
+    if (isCapturingFrame) return;
+    setIsCapturingFrame(true);
+
+    let frameUri = null;
+    try {
+      frameUri = await captureFrame(videoUri, currentTime, format);
+      if (destination === 'cover') {
+        // A new video only gets its project on the first save
+        saveProject.cancel();
+        await persistProject(getProjectData());
+        await setProjectCover(projectIdRef.current, frameUri);
+        frameUri = null;
+        Alert.alert('Cover Updated', 'This frame is now the project cover');
+      } else {
+        const { addedToAlbum } = await saveImageToGallery(frameUri);
+        Alert.alert(
+          'Saved',
+          addedToAlbum
+            ? `Frame saved to the "${TRIMMED_ALBUM_NAME}" album`
+            : 'Frame saved to your library'
+        );
+      }
+      setShowCapture(false);
+    } catch (error) {
+      console.log('Error capturing frame:', error);
+      Alert.alert('Capture Failed', 'Could not capture this frame. Please try again.');
+    } finally {
+      if (frameUri) {
+        discardFrame(frameUri);
+      }
+      setIsCapturingFrame(false);
+    }
+  };
+
   const handlePreviewTrimmed = async () => {
     if (videoRef.current) {
       try {
@@ -134,20 +606,22 @@ export default function VideoTrimmerScreen({ navigation, route }) {
     }
   };
 
-  const handleProceedToPlayer = () => {
+  const handleProceedToPlayer = async () => {
     if (!videoUri) {
       Alert.alert('Error', 'No video to trim');
       return;
     }
 
-    if (startTime >= endTime) {
-      Alert.alert('Error', 'Start time must be less than end time');
+    if (!validateSegments(segments)) {
+      Alert.alert('Error', 'Every segment must be at least 1 second long');
       return;
     }
 
-    const trimmedDuration = endTime - startTime;
-    if (trimmedDuration < 1000) {
-      Alert.alert('Error', 'Trimmed duration must be at least 1 second');
+    if (trimPreset.maxDuration && getSegmentsDuration(segments) > trimPreset.maxDuration) {
+      Alert.alert(
+        'Too Long',
+        `The ${trimPreset.name} preset allows at most ${formatTime(trimPreset.maxDuration)} in total. Shorten or remove segments.`
+      );
       return;
     }
 
@@ -157,16 +631,74 @@ export default function VideoTrimmerScreen({ navigation, route }) {
       setIsPlaying(false);
     }
 
-    // Navigate to player with trim settings
+    // Save now so the player can store its edits on this project
+    saveProject.cancel();
+    await persistProject(getProjectData());
+    const project = await getProject(projectIdRef.current);
+
+    // Navigate to player to preview and export the segments
     navigation.navigate('VideoPlayer', {
       videoUri,
-      startTime,
-      endTime,
+      segments,
+      metadata,
+      settings: getProjectSettings(),
+      edits: project?.edits,
+      projectId: projectIdRef.current,
+      batch: getUpdatedBatch(),
+      batchIndex,
       originalDuration: videoDuration,
-      trimmedDuration,
+      trimmedDuration: getSegmentsDuration(segments),
     });
   };
 
+  const handleStepBatch = async (direction) => {
+    const nextIndex = batchIndex + direction;
+    if (!batch || nextIndex < 0 || nextIndex >= batch.length) return;
+
+    if (videoRef.current && isPlaying) {
+      videoRef.current.pauseAsync();
+      setIsPlaying(false);
+    }
+
+    // Save this clip now so its trim is there when stepping back to it
+    saveProject.cancel();
+    if (segments.length > 0) {
+      await persistProject(getProjectData());
+    }
+
+    const updatedBatch = getUpdatedBatch();
+    const nextClip = updatedBatch[nextIndex];
+    const project = nextClip.projectId ? await getProject(nextClip.projectId) : null;
+
+    navigation.replace('VideoTrimmer', {
+      videoUri: nextClip.videoUri,
+      assetId: nextClip.assetId,
+      videoDuration: nextClip.videoDuration,
+      metadata: nextClip.metadata,
+      segments: project?.segments,
+      settings: project?.settings,
+      edits: project?.edits,
+      projectId: project?.id,
+      batch: updatedBatch,
+      batchIndex: nextIndex,
+    });
+  };
+
+  // Rotations and flips are previewed by turning the video view inside the frame it will fill
+  const getTransformedVideoLayout = () => {
+    if (!hasTransform(transform) || !metadata?.aspectRatio || videoLayout.width === 0) {
+      return null;
+    }
+
+    const size = getContainedSize(videoLayout, getTransformedAspect(metadata.aspectRatio, transform));
+    return getTransformedVideoStyle({
+      left: (videoLayout.width - size.width) / 2,
+      top: (videoLayout.height - size.height) / 2,
+      ...size,
+    }, transform);
+  };
+  const transformedVideoStyle = getTransformedVideoLayout();
+
   // Show loading if no video data
   if (isLoading || !videoUri) {
     return (
@@ -203,21 +735,107 @@ export default function VideoTrimmerScreen({ navigation, route }) {
           <Text style={styles.title}>Trim Video</Text>
           <Text style={styles.subtitle}>
             Total Duration: {Math.floor((videoDuration || 0) / 1000)}s
+            {metadata ? ` · ${metadata.resolutionName}` : ''}
+            {metadata?.frameRate ? ` · ${metadata.frameRate} fps` : ''}
           </Text>
         </View>
+        <TouchableOpacity 
+          style={styles.headerToolButton}
+          onPress={() => {
+            setIsGrading(false);
+            setIsFraming(!isFraming);
+          }}
+        >
+          <Text style={styles.headerToolButtonText}>
+            {crop ? `Frame ${crop.aspect}` : 'Frame'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity 
+          style={styles.headerToolButton}
+          onPress={handleToggleGrading}
+        >
+          <Text style={styles.headerToolButtonText}>
+            {COLOR_PRESETS[getColorPresetId(color)]?.name || 'Color'}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity 
+          style={styles.headerToolButton}
+          onPress={() => setShowDetails(true)}
+        >
+          <Text style={styles.headerToolButtonText}>Details</Text>
+        </TouchableOpacity>
+        <TouchableOpacity 
+          style={styles.historyButton}
+          onPress={handleUndo}
+          disabled={!canUndo(history)}
+        >
+          <Text style={[styles.historyButtonText, !canUndo(history) && styles.historyButtonDisabled]}>
+            Undo
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity 
+          style={styles.historyButton}
+          onPress={handleRedo}
+          disabled={!canRedo(history)}
+        >
+          <Text style={[styles.historyButtonText, !canRedo(history) && styles.historyButtonDisabled]}>
+            Redo
+          </Text>
+        </TouchableOpacity>
       </View>
 
+      {/* Batch Navigation */}
+      {batch && batch.length > 1 && (
+        <View style={styles.batchBar}>
+          <TouchableOpacity
+            onPress={() => handleStepBatch(-1)}
+            disabled={batchIndex === 0}
+          >
+            <Text style={[styles.batchButtonText, batchIndex === 0 && styles.historyButtonDisabled]}>
+              ◀ Previous
+            </Text>
+          </TouchableOpacity>
+          <Text style={styles.batchText}>
+            Clip {batchIndex + 1} of {batch.length}
+          </Text>
+          <TouchableOpacity
+            onPress={() => handleStepBatch(1)}
+            disabled={batchIndex === batch.length - 1}
+          >
+            <Text style={[styles.batchButtonText, batchIndex === batch.length - 1 && styles.historyButtonDisabled]}>
+              Next ▶
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Video Player */}
-      <View style={styles.videoContainer}>
+      <View
+        style={styles.videoContainer}
+        onLayout={event => setVideoLayout(event.nativeEvent.layout)}
+      >
         <Video
           ref={videoRef}
-          style={styles.video}
+          style={transformedVideoStyle ? [styles.transformedVideo, transformedVideoStyle] : styles.video}
           source={{ uri: videoUri }}
           useNativeControls={false}
-          resizeMode="contain"
+          resizeMode={transformedVideoStyle ? 'stretch' : 'contain'}
           isLooping={false}
+          rate={getSegmentSpeed(activeSegment)}
+          shouldCorrectPitch
           onPlaybackStatusUpdate={handleVideoStatusUpdate}
         />
+
+        {/* Graded frame, laid out like the video beneath it and hidden to compare */}
+        {showGradePreview && gradePreviewUri && !isComparing && (
+          <View style={StyleSheet.absoluteFill} pointerEvents="none">
+            <Image
+              source={{ uri: gradePreviewUri }}
+              style={transformedVideoStyle ? [styles.transformedVideo, transformedVideoStyle] : styles.video}
+              resizeMode={transformedVideoStyle ? 'stretch' : 'contain'}
+            />
+          </View>
+        )}
         
         {/* Video Controls Overlay */}
         <TouchableOpacity 
@@ -237,6 +855,24 @@ export default function VideoTrimmerScreen({ navigation, route }) {
             {Math.floor(currentTime / 1000)}s / {Math.floor(videoDuration / 1000)}s
           </Text>
         </View>
+
+        {isGrading && hasColorGrade(color) && (
+          <View style={styles.gradeBadge} pointerEvents="none">
+            <Text style={styles.videoInfoText}>
+              {isPlaying ? 'Pause to see the grade' : (isComparing ? 'Before' : 'After')}
+            </Text>
+          </View>
+        )}
+
+        {/* Crop Rectangle */}
+        {isFraming && crop && metadata?.aspectRatio && (
+          <CropOverlay
+            crop={crop}
+            frameAspect={getTransformedAspect(metadata.aspectRatio, transform)}
+            onChange={handleCropChange}
+            onChangeComplete={handleChangeComplete}
+          />
+        )}
       </View>
 
       {/* Control Buttons */}
@@ -247,6 +883,13 @@ export default function VideoTrimmerScreen({ navigation, route }) {
         >
           <Text style={styles.previewButtonText}>Preview</Text>
         </TouchableOpacity>
+
+        <TouchableOpacity 
+          style={[styles.controlButton, styles.captureButton]}
+          onPress={handleOpenCapture}
+        >
+          <Text style={styles.previewButtonText}>Capture</Text>
+        </TouchableOpacity>
         
         <TouchableOpacity 
           style={[styles.controlButton, styles.proceedButton]}
@@ -256,14 +899,81 @@ export default function VideoTrimmerScreen({ navigation, route }) {
         </TouchableOpacity>
       </View>
 
+      {/* Trim Presets, or framing or color controls while editing those */}
+      {isGrading ? (
+        <ColorGradeBar
+          grade={color}
+          isComparing={isComparing}
+          onSelectPreset={handleSelectColorPreset}
+          onAdjust={handleAdjustColor}
+          onCompareChange={setIsComparing}
+          onDone={handleToggleGrading}
+        />
+      ) : isFraming ? (
+        <>
+          <TransformBar
+            transform={transform}
+            onRotate={handleRotate}
+            onFlip={handleFlip}
+          />
+          <CropPresetBar
+            crop={crop}
+            onSelect={handleSelectCrop}
+            onDone={() => setIsFraming(false)}
+          />
+        </>
+      ) : (
+        <TrimPresetBar
+          preset={trimPreset}
+          videoDuration={videoDuration}
+          onSelect={handleSelectPreset}
+        />
+      )}
+
       {/* Custom Timeline Slider */}
       <CustomTimelineSlider
+        videoUri={videoUri}
         duration={videoDuration}
         startTime={startTime}
         endTime={endTime}
         currentTime={currentTime}
+        segments={segments}
+        activeSegmentId={activeSegment?.id}
+        onSelectSegment={handleSelectSegment}
         onStartTimeChange={handleStartTimeChange}
         onEndTimeChange={handleEndTimeChange}
+        onSeek={handleSeek}
+        onChangeComplete={handleChangeComplete}
+        frameRate={metadata?.frameRate}
+        minDuration={MIN_SEGMENT_DURATION}
+        maxDuration={trimPreset.maxDuration ? segmentMaxDuration : null}
+      />
+
+      {/* Segment List */}
+      <SegmentList
+        segments={segments}
+        activeSegmentId={activeSegment?.id}
+        onSelect={handleSelectSegment}
+        onAdd={handleAddSegment}
+        onSplit={handleSplitSegment}
+        onRemove={handleRemoveSegment}
+        onMove={handleMoveSegment}
+        onSpeedChange={handleSpeedChange}
+      />
+
+      <VideoDetailsPanel
+        visible={showDetails}
+        metadata={metadata}
+        onClose={() => setShowDetails(false)}
+      />
+
+      <CaptureFrameSheet
+        visible={showCapture}
+        time={currentTime}
+        isCapturing={isCapturingFrame}
+        canSetCover
+        onCapture={handleCaptureFrame}
+        onClose={() => setShowCapture(false)}
       />
     </SafeAreaView>
   );
@@ -306,6 +1016,33 @@ const styles = StyleSheet.create({
   headerInfo: {
     flex: 1,
   },
+  headerToolButton: {
+    marginLeft: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#ced4da',
+    backgroundColor: '#f8f9fa',
+  },
+  headerToolButtonText: {
+    fontSize: 14,
+    color: '#495057',
+    fontWeight: '600',
+  },
+  historyButton: {
+    marginLeft: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 5,
+  },
+  historyButtonText: {
+    fontSize: 16,
+    color: '#007bff',
+    fontWeight: '600',
+  },
+  historyButtonDisabled: {
+    color: '#adb5bd',
+  },
   title: {
     fontSize: 20,
     fontWeight: 'bold',
@@ -316,6 +1053,26 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6c757d',
   },
+  batchBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 8,
+    backgroundColor: '#f8f9fa',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  batchButtonText: {
+    fontSize: 14,
+    color: '#007bff',
+    fontWeight: '600',
+  },
+  batchText: {
+    fontSize: 14,
+    color: '#495057',
+    fontWeight: '600',
+  },
   videoContainer: {
     flex: 1,
     backgroundColor: '#000',
@@ -324,6 +1081,9 @@ const styles = StyleSheet.create({
   video: {
     flex: 1,
   },
+  transformedVideo: {
+    position: 'absolute',
+  },
   videoControlsOverlay: {
     position: 'absolute',
     top: 0,
@@ -355,6 +1115,15 @@ const styles = StyleSheet.create({
     paddingVertical: 6,
     borderRadius: 15,
   },
+  gradeBadge: {
+    position: 'absolute',
+    top: 20,
+    left: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+  },
   videoInfoText: {
     color: '#ffffff',
     fontSize: 12,
@@ -383,6 +1152,9 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  captureButton: {
+    backgroundColor: '#17a2b8',
+  },
   proceedButton: {
     backgroundColor: '#28a745',
     marginLeft: 10,
@@ -0,0 +1,110 @@
+// Clip audio settings: mute, gain and fades at the trim boundaries
+import { clamp } from './videoUtils';
+
+/**
+ * Largest gain that can be applied (2 = +6 dB)
+ */
+export const MAX_AUDIO_GAIN = 2;
+
+/**
+ * Longest fade-in or fade-out, in milliseconds
+ */
+export const MAX_FADE_DURATION = 5000;
+
+export const DEFAULT_AUDIO_SETTINGS = {
+  muted: false,
+  gain: 1,
+  fadeIn: 0,
+  fadeOut: 0,
+};
+
+/**
+ * Check whether audio settings change the source audio
+ * @param {object} audio - Audio settings
+ * @returns {boolean} True if the audio must be processed on export
+ */
+export const hasAudioChanges = (audio) => {
+  return !!audio && (audio.muted || audio.gain !== 1 || audio.fadeIn > 0 || audio.fadeOut > 0);
+};
+
+/**
+ * Get the fade multiplier at a point of the output
+ * Fades are shortened so they never overlap on short clips.
+ * @param {object} audio - Audio settings
+ * @param {number} outputTime - Position in the output in milliseconds
+ * @param {number} duration - Output duration in milliseconds
+ * @returns {number} Multiplier between 0 and 1
+ */
+export const getFadeMultiplier = (audio, outputTime, duration) => {
+  const fadeIn = Math.min(audio.fadeIn, duration / 2);
+  const fadeOut = Math.min(audio.fadeOut, duration / 2);
+  let multiplier = 1;
+
+  if (fadeIn > 0 && outputTime < fadeIn) {
+    multiplier = Math.min(multiplier, outputTime / fadeIn);
+  }
+  if (fadeOut > 0 && outputTime > duration - fadeOut) {
+    multiplier = Math.min(multiplier, (duration - outputTime) / fadeOut);
+  }
+
+  return clamp(multiplier, 0, 1);
+};
+
+/**
+ * Get the player volume for previewing audio settings
+ * expo-av cannot amplify, so gains above 1 preview at full volume.
+ * @param {object} audio - Audio settings
+ * @param {number} outputTime - Position in the output in milliseconds
+ * @param {number} duration - Output duration in milliseconds
+ * @returns {number} Volume between 0 and 1
+ */
+export const getPreviewVolume = (audio, outputTime, duration) => {
+  if (audio.muted) return 0;
+  return clamp(audio.gain * getFadeMultiplier(audio, outputTime, duration), 0, 1);
+};
+
+/**
+ * Build the FFmpeg fade filters for the output audio
+ * @param {object} audio - Audio settings
+ * @param {number} duration - Output duration in milliseconds
+ * @returns {string[]} FFmpeg audio filters
+ */
+export const buildFadeFilters = (audio, duration) => {
+  const filters = [];
+  const fadeIn = Math.min(audio.fadeIn, duration / 2);
+  const fadeOut = Math.min(audio.fadeOut, duration / 2);
+
+  if (fadeIn > 0) {
+    filters.push(`afade=t=in:st=0:d=${(fadeIn / 1000).toFixed(3)}`);
+  }
+  if (fadeOut > 0) {
+    filters.push(`afade=t=out:st=${((duration - fadeOut) / 1000).toFixed(3)}:d=${(fadeOut / 1000).toFixed(3)}`);
+  }
+
+  return filters;
+};
+
+/**
+ * Build the FFmpeg audio filters for the joined clip
+ * @param {object} audio - Audio settings
+ * @param {number} duration - Output duration in milliseconds
+ * @returns {string[]} FFmpeg audio filters
+ */
+export const buildAudioFilters = (audio, duration) => {
+  const filters = [];
+  if (audio.gain !== 1) {
+    filters.push(`volume=${audio.gain.toFixed(2)}`);
+  }
+  return [...filters, ...buildFadeFilters(audio, duration)];
+};
+
+export default {
+  MAX_AUDIO_GAIN,
+  MAX_FADE_DURATION,
+  DEFAULT_AUDIO_SETTINGS,
+  hasAudioChanges,
+  getFadeMultiplier,
+  getPreviewVolume,
+  buildFadeFilters,
+  buildAudioFilters,
+};
@@ -0,0 +1,73 @@
+// Per-clip edits applied on top of the trim, previewed in the player and applied on export
+import { DEFAULT_AUDIO_SETTINGS, hasAudioChanges } from './audioUtils';
+import { DEFAULT_MUSIC_MIX } from './musicUtils';
+import { getCropPreset, getCroppedMetadata } from './cropUtils';
+import { DEFAULT_TRANSFORM, hasTransform, getTransformedMetadata } from './transformUtils';
+import { resolveTextOverlays } from './textOverlays';
+import { SUBTITLE_FORMATS } from './subtitleUtils';
+import { DEFAULT_COLOR_GRADE, resolveColorGrade, hasColorGrade } from './colorGrade';
+
+export const DEFAULT_CLIP_EDITS = {
+  audio: DEFAULT_AUDIO_SETTINGS,
+  music: null,
+  crop: null,
+  transform: DEFAULT_TRANSFORM,
+  color: DEFAULT_COLOR_GRADE,
+  texts: [],
+  subtitles: null,
+};
+
+/**
+ * Fill in defaults for edits saved by older versions or not set yet
+ * @param {object|null} edits - Saved clip edits
+ * @returns {object} Complete clip edits
+ */
+export const resolveClipEdits = (edits) => {
+  return {
+    ...DEFAULT_CLIP_EDITS,
+    ...edits,
+    audio: { ...DEFAULT_AUDIO_SETTINGS, ...edits?.audio },
+    music: edits?.music ? { offset: 0, mix: DEFAULT_MUSIC_MIX, ...edits.music } : null,
+    crop: edits?.crop && getCropPreset(edits.crop.aspect) ? edits.crop : null,
+    transform: { ...DEFAULT_TRANSFORM, ...edits?.transform },
+    color: resolveColorGrade(edits?.color),
+    texts: resolveTextOverlays(edits?.texts),
+    subtitles: edits?.subtitles && Array.isArray(edits.subtitles.cues) && SUBTITLE_FORMATS[edits.subtitles.format]
+      ? edits.subtitles
+      : null,
+  };
+};
+
+/**
+ * Check whether any edit requires the clip to be re-encoded
+ * Subtitles are written to their own file, so they never do.
+ * @param {object|null} edits - Clip edits
+ * @returns {boolean} True if the source cannot be copied as-is
+ */
+export const hasClipEdits = (edits) => {
+  if (!edits) return false;
+  return hasAudioChanges(edits.audio) ||
+    !!edits.music ||
+    !!edits.crop ||
+    hasTransform(edits.transform) ||
+    hasColorGrade(edits.color) ||
+    (edits.texts || []).some(overlay => overlay.text.trim());
+};
+
+/**
+ * Describe the edited clip's frame as if it were the source
+ * The transform is applied before the crop, so crops are placed on the turned frame.
+ * @param {object|null} metadata - Source video metadata
+ * @param {object|null} edits - Clip edits
+ * @returns {object|null} Metadata with the edited frame size
+ */
+export const getEditedMetadata = (metadata, edits) => {
+  return getCroppedMetadata(getTransformedMetadata(metadata, edits?.transform), edits?.crop);
+};
+
+export default {
+  DEFAULT_CLIP_EDITS,
+  resolveClipEdits,
+  hasClipEdits,
+  getEditedMetadata,
+};
@@ -0,0 +1,197 @@
+// Color grading: brightness, contrast, saturation and temperature, with named presets
+import * as FileSystem from 'expo-file-system';
+import { toFilePath, toFFmpegTime, runFFmpeg } from './ffmpegUtils';
+
+/**
+ * Adjustments that make up a grade; each runs from -1 to 1 with 0 leaving the source untouched
+ */
+export const COLOR_ADJUSTMENTS = {
+  brightness: { key: 'brightness', name: 'Brightness' },
+  contrast: { key: 'contrast', name: 'Contrast' },
+  saturation: { key: 'saturation', name: 'Saturation' },
+  temperature: { key: 'temperature', name: 'Temperature' },
+};
+
+export const DEFAULT_COLOR_GRADE = {
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+  temperature: 0,
+};
+
+/**
+ * Named grades that set every adjustment at once
+ */
+export const COLOR_PRESETS = {
+  VIVID: { id: 'VIVID', name: 'Vivid', grade: { brightness: 0, contrast: 0.15, saturation: 0.4, temperature: 0 } },
+  WARM: { id: 'WARM', name: 'Warm', grade: { brightness: 0.05, contrast: 0, saturation: 0.1, temperature: 0.5 } },
+  COOL: { id: 'COOL', name: 'Cool', grade: { brightness: 0, contrast: 0.05, saturation: 0, temperature: -0.5 } },
+  FADED: { id: 'FADED', name: 'Faded', grade: { brightness: 0.1, contrast: -0.3, saturation: -0.3, temperature: 0.1 } },
+  DRAMATIC: { id: 'DRAMATIC', name: 'Dramatic', grade: { brightness: -0.05, contrast: 0.4, saturation: -0.15, temperature: 0 } },
+  MONO: { id: 'MONO', name: 'Mono', grade: { brightness: 0, contrast: 0.1, saturation: -1, temperature: 0 } },
+};
+
+/**
+ * Directory graded preview stills are written to
+ */
+export const GRADE_PREVIEW_DIRECTORY = `${FileSystem.cacheDirectory}grades/`;
+
+// Color temperature of neutral daylight, left unchanged by the temperature filter
+const NEUTRAL_TEMPERATURE = 6500;
+
+const clampAdjustment = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(-1, number)) : 0;
+};
+
+/**
+ * Fill in and clamp a saved grade
+ * @param {object|null} grade - Saved color grade
+ * @returns {object} Complete color grade
+ */
+export const resolveColorGrade = (grade) => {
+  return Object.keys(DEFAULT_COLOR_GRADE).reduce((resolved, key) => ({
+    ...resolved,
+    [key]: clampAdjustment(grade?.[key] ?? DEFAULT_COLOR_GRADE[key]),
+  }), {});
+};
+
+/**
+ * Check whether a grade changes the picture
+ * @param {object|null} grade - Color grade
+ * @returns {boolean} True if any adjustment is set
+ */
+export const hasColorGrade = (grade) => {
+  if (!grade) return false;
+  return Object.keys(DEFAULT_COLOR_GRADE).some(key => grade[key] !== DEFAULT_COLOR_GRADE[key]);
+};
+
+/**
+ * Find the preset a grade was set from
+ * @param {object|null} grade - Color grade
+ * @returns {string|null} Preset id, or null for the original look or a custom grade
+ */
+export const getColorPresetId = (grade) => {
+  const preset = Object.values(COLOR_PRESETS).find(item => (
+    Object.keys(DEFAULT_COLOR_GRADE).every(key => item.grade[key] === grade?.[key])
+  ));
+  return preset ? preset.id : null;
+};
+
+/**
+ * Get the grade for a preset
+ * @param {string|null} presetId - Preset id, or null for the original look
+ * @returns {object} Color grade
+ */
+export const getPresetGrade = (presetId) => {
+  const preset = COLOR_PRESETS[presetId];
+  return preset ? { ...preset.grade } : { ...DEFAULT_COLOR_GRADE };
+};
+
+/**
+ * Format an adjustment for display
+ * @param {number} value - Adjustment from -1 to 1
+ * @returns {string} Value from -100 to +100
+ */
+export const formatAdjustment = (value) => {
+  const rounded = Math.round(value * 100);
+  return rounded > 0 ? `+${rounded}` : `${rounded}`;
+};
+
+const toFilterNumber = (value) => Number(value.toFixed(3));
+
+/**
+ * Build the FFmpeg video filters that apply a grade
+ * eq handles brightness, contrast and saturation; colortemperature shifts the white point,
+ * with warmer grades moving towards candlelight and cooler ones towards shade.
+ * @param {object|null} grade - Color grade
+ * @returns {string[]} FFmpeg video filters, empty for the original look
+ */
+export const buildColorFilters = (grade) => {
+  if (!hasColorGrade(grade)) return [];
+
+  const { brightness, contrast, saturation, temperature } = resolveColorGrade(grade);
+  const filters = [];
+
+  if (brightness !== 0 || contrast !== 0 || saturation !== 0) {
+    // Scaled to the part of eq's ranges that still looks natural
+    filters.push([
+      `eq=brightness=${toFilterNumber(brightness * 0.25)}`,
+      `contrast=${toFilterNumber(1 + contrast * 0.5)}`,
+      `saturation=${toFilterNumber(1 + saturation)}`,
+    ].join(':'));
+  }
+
+  if (temperature !== 0) {
+    const kelvin = temperature > 0
+      ? NEUTRAL_TEMPERATURE - temperature * 3500
+      : NEUTRAL_TEMPERATURE - temperature * 5000;
+    filters.push(`colortemperature=temperature=${Math.round(kelvin)}`);
+  }
+
+  return filters;
+};
+
+/**
+ * Render the source frame at a time with a grade applied, for comparing against the video
+ * The frame is kept upright as stored in the source so it lines up with the preview video.
+ * @param {string} videoUri - Source video URI
+ * @param {number} time - Frame time in source milliseconds
+ * @param {object} grade - Color grade
+ * @returns {Promise<string>} URI of the graded still, removed with discardGradePreview once replaced
+ */
+export const renderGradePreview = async (videoUri, time, grade) => {
+  const info = await FileSystem.getInfoAsync(GRADE_PREVIEW_DIRECTORY);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(GRADE_PREVIEW_DIRECTORY, { intermediates: true });
+  }
+
+  const previewUri = `${GRADE_PREVIEW_DIRECTORY}grade_${Date.now()}.jpg`;
+  // Screen sized, so re-rendering while sliding stays quick
+  const filters = [...buildColorFilters(grade), 'scale=w=960:h=960:force_original_aspect_ratio=decrease'];
+
+  try {
+    await runFFmpeg([
+      '-y',
+      '-ss', toFFmpegTime(Math.max(0, time)),
+      '-i', toFilePath(videoUri),
+      '-frames:v', '1',
+      '-an',
+      '-vf', filters.join(','),
+      '-q:v', '3',
+      toFilePath(previewUri),
+    ]);
+  } catch (error) {
+    await discardGradePreview(previewUri);
+    throw error;
+  }
+  return previewUri;
+};
+
+/**
+ * Delete a graded preview still
+ * @param {string} previewUri - Graded still URI
+ * @returns {Promise<void>}
+ */
+export const discardGradePreview = async (previewUri) => {
+  try {
+    await FileSystem.deleteAsync(previewUri, { idempotent: true });
+  } catch (error) {
+    console.log('Error deleting grade preview:', error);
+  }
+};
+
+export default {
+  COLOR_ADJUSTMENTS,
+  DEFAULT_COLOR_GRADE,
+  COLOR_PRESETS,
+  GRADE_PREVIEW_DIRECTORY,
+  resolveColorGrade,
+  hasColorGrade,
+  getColorPresetId,
+  getPresetGrade,
+  formatAdjustment,
+  buildColorFilters,
+  renderGradePreview,
+  discardGradePreview,
+};
@@ -0,0 +1,222 @@
+// Crop rectangles for reframing a clip to a preset aspect ratio
+import { clamp } from './videoUtils';
+
+/**
+ * Aspect ratios a clip can be cropped to
+ */
+export const CROP_PRESETS = {
+  PORTRAIT_9_16: { id: '9:16', name: '9:16', ratio: 9 / 16 },
+  SQUARE: { id: '1:1', name: '1:1', ratio: 1 },
+  PORTRAIT_4_5: { id: '4:5', name: '4:5', ratio: 4 / 5 },
+  LANDSCAPE_16_9: { id: '16:9', name: '16:9', ratio: 16 / 9 },
+};
+
+/**
+ * Smallest crop, as a fraction of the largest crop for the aspect ratio
+ */
+export const MIN_CROP_SCALE = 0.25;
+
+/**
+ * Find a crop preset by id
+ * @param {string} id - Preset id
+ * @returns {object|null} The preset, or null if unknown
+ */
+export const getCropPreset = (id) => {
+  return Object.values(CROP_PRESETS).find(preset => preset.id === id) || null;
+};
+
+/**
+ * Get the largest crop size with an aspect ratio that fits inside the frame
+ * Sizes are fractions of the displayed frame's width and height.
+ * @param {number} ratio - Crop aspect ratio (width / height)
+ * @param {number} frameAspect - Frame aspect ratio (width / height)
+ * @returns {object} { width, height } between 0 and 1
+ */
+const getMaxCropSize = (ratio, frameAspect) => {
+  return ratio < frameAspect
+    ? { width: ratio / frameAspect, height: 1 }
+    : { width: 1, height: frameAspect / ratio };
+};
+
+/**
+ * Create the largest centered crop for a preset
+ * @param {string} presetId - Crop preset id
+ * @param {number} frameAspect - Displayed frame aspect ratio (width / height)
+ * @returns {object|null} Crop ({ aspect, x, y, width, height }), or null for an unknown preset
+ */
+export const createCrop = (presetId, frameAspect) => {
+  const preset = getCropPreset(presetId);
+  if (!preset || !frameAspect) return null;
+
+  const { width, height } = getMaxCropSize(preset.ratio, frameAspect);
+  return {
+    aspect: preset.id,
+    x: (1 - width) / 2,
+    y: (1 - height) / 2,
+    width,
+    height,
+  };
+};
+
+/**
+ * Move a crop, keeping it inside the frame
+ * @param {object} crop - Crop
+ * @param {number} x - New left edge, as a fraction of the frame width
+ * @param {number} y - New top edge, as a fraction of the frame height
+ * @returns {object} Moved crop
+ */
+export const moveCrop = (crop, x, y) => {
+  return {
+    ...crop,
+    x: clamp(x, 0, 1 - crop.width),
+    y: clamp(y, 0, 1 - crop.height),
+  };
+};
+
+/**
+ * Resize a crop around its center, keeping its aspect ratio and keeping it inside the frame
+ * @param {object} crop - Crop
+ * @param {number} scale - Size relative to the largest crop for the aspect ratio
+ * @param {number} frameAspect - Displayed frame aspect ratio (width / height)
+ * @returns {object} Resized crop
+ */
+export const scaleCrop = (crop, scale, frameAspect) => {
+  const preset = getCropPreset(crop.aspect);
+  if (!preset) return crop;
+
+  const maxSize = getMaxCropSize(preset.ratio, frameAspect);
+  const nextScale = clamp(scale, MIN_CROP_SCALE, 1);
+  const width = maxSize.width * nextScale;
+  const height = maxSize.height * nextScale;
+  const centerX = crop.x + crop.width / 2;
+  const centerY = crop.y + crop.height / 2;
+
+  return moveCrop({ ...crop, width, height }, centerX - width / 2, centerY - height / 2);
+};
+
+/**
+ * Get the size of a crop relative to the largest crop for its aspect ratio
+ * @param {object} crop - Crop
+ * @param {number} frameAspect - Displayed frame aspect ratio (width / height)
+ * @returns {number} Scale between MIN_CROP_SCALE and 1
+ */
+export const getCropScale = (crop, frameAspect) => {
+  const preset = getCropPreset(crop.aspect);
+  if (!preset) return 1;
+  return crop.width / getMaxCropSize(preset.ratio, frameAspect).width;
+};
+
+/**
+ * Get the size a frame is drawn at when fitted inside a container
+ * @param {object} container - Container size ({ width, height })
+ * @param {number} aspect - Frame aspect ratio (width / height)
+ * @returns {object} Fitted size ({ width, height })
+ */
+export const getContainedSize = (container, aspect) => {
+  if (!container.width || !container.height || !aspect) {
+    return { width: container.width || 0, height: container.height || 0 };
+  }
+  return container.width / container.height > aspect
+    ? { width: container.height * aspect, height: container.height }
+    : { width: container.width, height: container.width / aspect };
+};
+
+/**
+ * Lay out a video so only its cropped area shows inside a container
+ * The frame clips the video, which is drawn larger and shifted so the crop fills the frame.
+ * @param {object} crop - Crop
+ * @param {object} container - Container size ({ width, height })
+ * @param {number} frameAspect - Displayed frame aspect ratio (width / height)
+ * @returns {object} Frame ({ left, top, width, height }) and video ({ left, top, width, height }) positions
+ */
+export const getCropPreviewLayout = (crop, container, frameAspect) => {
+  const frame = getContainedSize(container, (crop.width / crop.height) * frameAspect);
+  const videoWidth = frame.width / crop.width;
+  const videoHeight = frame.height / crop.height;
+
+  return {
+    frame: {
+      left: (container.width - frame.width) / 2,
+      top: (container.height - frame.height) / 2,
+      width: frame.width,
+      height: frame.height,
+    },
+    video: {
+      left: -crop.x * videoWidth,
+      top: -crop.y * videoHeight,
+      width: videoWidth,
+      height: videoHeight,
+    },
+  };
+};
+
+/**
+ * Get the crop rectangle in pixels of the displayed (rotated) source frame
+ * Values are even so every encoder accepts them.
+ * @param {object} crop - Crop
+ * @param {object} metadata - Source video metadata
+ * @returns {object|null} { x, y, width, height }, or null when the source size is unknown
+ */
+export const getCropPixels = (crop, metadata) => {
+  const frameWidth = metadata?.displayWidth || metadata?.width;
+  const frameHeight = metadata?.displayHeight || metadata?.height;
+  if (!crop || !frameWidth || !frameHeight) return null;
+
+  const toEven = (value) => Math.max(2, Math.floor(value / 2) * 2);
+  const width = toEven(crop.width * frameWidth);
+  const height = toEven(crop.height * frameHeight);
+
+  return {
+    x: clamp(Math.round(crop.x * frameWidth), 0, frameWidth - width),
+    y: clamp(Math.round(crop.y * frameHeight), 0, frameHeight - height),
+    width,
+    height,
+  };
+};
+
+/**
+ * Describe the cropped clip as if it were the source, so export sizes and estimates follow the crop
+ * @param {object|null} metadata - Source video metadata
+ * @param {object|null} crop - Crop
+ * @returns {object|null} Metadata with the cropped frame size
+ */
+export const getCroppedMetadata = (metadata, crop) => {
+  const pixels = getCropPixels(crop, metadata);
+  if (!pixels) return metadata;
+
+  const area = crop.width * crop.height;
+  return {
+    ...metadata,
+    displayWidth: pixels.width,
+    displayHeight: pixels.height,
+    aspectRatio: pixels.width / pixels.height,
+    bitrate: metadata.bitrate ? Math.round(metadata.bitrate * area) : metadata.bitrate,
+  };
+};
+
+/**
+ * Build the FFmpeg filter that applies a crop
+ * @param {object} crop - Crop
+ * @param {object} metadata - Source video metadata
+ * @returns {string|null} FFmpeg crop filter, or null if the crop cannot be applied
+ */
+export const buildCropFilter = (crop, metadata) => {
+  const pixels = getCropPixels(crop, metadata);
+  if (!pixels) return null;
+  return `crop=${pixels.width}:${pixels.height}:${pixels.x}:${pixels.y}`;
+};
+
+export default {
+  CROP_PRESETS,
+  MIN_CROP_SCALE,
+  getCropPreset,
+  createCrop,
+  moveCrop,
+  scaleCrop,
+  getCropScale,
+  getContainedSize,
+  getCropPreviewLayout,
+  getCropPixels,
+  getCroppedMetadata,
+  buildCropFilter,
+};
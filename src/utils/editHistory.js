@@ -0,0 +1,127 @@
+// Undo/redo history for trim edits
+
+/**
+ * Maximum number of undo steps kept
+ */
+export const MAX_HISTORY_LENGTH = 100;
+
+/**
+ * Create a history with no undo or redo steps
+ * @param {object} present - Current edit state
+ * @returns {object} History object
+ */
+export const createHistory = (present) => {
+  return {
+    past: [],
+    present,
+    future: [],
+    coalesceKey: null,
+  };
+};
+
+/**
+ * Record a new edit state
+ *
+ * Consecutive edits with the same coalesce key (e.g. every move of one
+ * handle drag) replace the present state instead of adding undo steps.
+ *
+ * @param {object} history - History object
+ * @param {object} next - New edit state
+ * @param {string|null} coalesceKey - Key grouping continuous edits (default: null)
+ * @returns {object} Updated history
+ */
+export const pushHistory = (history, next, coalesceKey = null) => {
+  if (next === history.present) {
+    return history;
+  }
+
+  if (coalesceKey && coalesceKey === history.coalesceKey) {
+    return { ...history, present: next, future: [] };
+  }
+
+  return {
+    past: [...history.past, history.present].slice(-MAX_HISTORY_LENGTH),
+    present: next,
+    future: [],
+    coalesceKey,
+  };
+};
+
+/**
+ * Replace the present state without recording an undo step
+ * @param {object} history - History object
+ * @param {object} next - New edit state
+ * @returns {object} Updated history
+ */
+export const replacePresent = (history, next) => {
+  return { ...history, present: next };
+};
+
+/**
+ * Stop coalescing so the next edit starts a new undo step
+ * @param {object} history - History object
+ * @returns {object} Updated history
+ */
+export const endCoalescing = (history) => {
+  return history.coalesceKey ? { ...history, coalesceKey: null } : history;
+};
+
+/**
+ * Check if there is an edit to undo
+ * @param {object} history - History object
+ * @returns {boolean} True if undo is possible
+ */
+export const canUndo = (history) => history.past.length > 0;
+
+/**
+ * Check if there is an edit to redo
+ * @param {object} history - History object
+ * @returns {boolean} True if redo is possible
+ */
+export const canRedo = (history) => history.future.length > 0;
+
+/**
+ * Step back to the previous edit state
+ * @param {object} history - History object
+ * @returns {object} Updated history
+ */
+export const undoHistory = (history) => {
+  if (!canUndo(history)) return history;
+
+  const previous = history.past[history.past.length - 1];
+  return {
+    past: history.past.slice(0, -1),
+    present: previous,
+    future: [history.present, ...history.future],
+    coalesceKey: null,
+  };
+};
+
+/**
+ * Step forward to the next edit state
+ * @param {object} history - History object
+ * @returns {object} Updated history
+ */
+export const redoHistory = (history) => {
+  if (!canRedo(history)) return history;
+
+  const [next, ...future] = history.future;
+  return {
+    past: [...history.past, history.present],
+    present: next,
+    future,
+    coalesceKey: null,
+  };
+};
+
+export default {
+  MAX_HISTORY_LENGTH,
+  createHistory,
+  pushHistory,
+  replacePresent,
+  endCoalescing,
+  canUndo,
+  canRedo,
+  undoHistory,
+  redoHistory,
+};
@@ -0,0 +1,335 @@
+// Sequential export queue whose jobs survive app restarts
+import * as FileSystem from 'expo-file-system';
+import { exportVideo, ExportCancelledError } from './videoExport';
+import { getSegmentsDuration } from './segmentUtils';
+import { getVideoFileName } from './projectStore';
+import { isAnimationExport } from './exportSettings';
+import { getSubtitleUri } from './subtitleUtils';
+
+/**
+ * File the export jobs are persisted to
+ */
+export const EXPORT_JOBS_FILE = `${FileSystem.documentDirectory}exports.json`;
+
+/**
+ * Number of finished jobs kept; queued and running jobs are never dropped
+ */
+export const MAX_FINISHED_JOBS = 30;
+
+export const EXPORT_JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+let jobsCache = null;
+let writeQueue = Promise.resolve();
+let isProcessing = false;
+const cancelRequests = new Set();
+const listeners = new Set();
+
+const createJobId = () => {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+const isFinished = (job) => {
+  return job.status !== EXPORT_JOB_STATUS.QUEUED && job.status !== EXPORT_JOB_STATUS.RUNNING;
+};
+
+/**
+ * Delete the files a job wrote: its output, its subtitles and any partial output
+ * @param {object} job - Export job
+ * @returns {Promise<void>}
+ */
+const deleteJobFiles = async (job) => {
+  const uris = [job.outputUri, job.subtitleUri, job.partialUri];
+  // Subtitles are only written once the clip is finished, but an interrupted write leaves one too
+  if (job.partialUri && job.edits?.subtitles) {
+    uris.push(getSubtitleUri(job.partialUri, job.edits.subtitles.format));
+  }
+
+  for (const uri of uris.filter(Boolean)) {
+    try {
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+    } catch (error) {
+      console.log('Error deleting exported file:', error);
+    }
+  }
+};
+
+const notifyListeners = () => {
+  listeners.forEach(listener => listener(jobsCache));
+};
+
+/**
+ * Persist the jobs, serialized so concurrent saves cannot interleave
+ * Progress is kept in memory only; it is reset when a job is resumed.
+ * The files of finished jobs dropped past the limit are deleted with them.
+ * @returns {Promise<void>}
+ */
+const writeJobs = () => {
+  const finished = jobsCache.filter(isFinished);
+  if (finished.length > MAX_FINISHED_JOBS) {
+    const dropped = finished.slice(MAX_FINISHED_JOBS);
+    const droppedIds = new Set(dropped.map(job => job.id));
+    jobsCache = jobsCache.filter(job => !droppedIds.has(job.id));
+    dropped.forEach(deleteJobFiles);
+  }
+
+  const contents = JSON.stringify({
+    version: 1,
+    jobs: jobsCache.map(({ progress, ...job }) => job),
+  });
+
+  writeQueue = writeQueue
+    .then(() => FileSystem.writeAsStringAsync(EXPORT_JOBS_FILE, contents))
+    .catch(error => console.log('Error saving export jobs:', error));
+
+  return writeQueue;
+};
+
+const setJobs = (jobs, { persist = true } = {}) => {
+  jobsCache = jobs;
+  notifyListeners();
+  return persist ? writeJobs() : Promise.resolve();
+};
+
+const updateJob = (id, changes, options) => {
+  return setJobs(
+    jobsCache.map(job => (
+      job.id === id ? { ...job, ...changes, updatedAt: new Date().toISOString() } : job
+    )),
+    options
+  );
+};
+
+/**
+ * Load all export jobs, newest first
+ * Jobs that were running when the app closed are queued again.
+ * @returns {Promise<Array>} List of export jobs
+ */
+export const loadExportJobs = async () => {
+  if (jobsCache) {
+    return jobsCache;
+  }
+
+  try {
+    const info = await FileSystem.getInfoAsync(EXPORT_JOBS_FILE);
+    if (!info.exists) {
+      jobsCache = [];
+      return jobsCache;
+    }
+
+    const contents = await FileSystem.readAsStringAsync(EXPORT_JOBS_FILE);
+    const data = JSON.parse(contents);
+    jobsCache = (Array.isArray(data.jobs) ? data.jobs : []).map(job => ({
+      ...job,
+      status: job.status === EXPORT_JOB_STATUS.RUNNING ? EXPORT_JOB_STATUS.QUEUED : job.status,
+      progress: job.status === EXPORT_JOB_STATUS.COMPLETED ? 1 : 0,
+    }));
+  } catch (error) {
+    console.log('Error loading export jobs:', error);
+    jobsCache = [];
+  }
+
+  return jobsCache;
+};
+
+/**
+ * Get an export job by id
+ * @param {string} id - Job id
+ * @returns {object|null} The job, or null if not found or not loaded yet
+ */
+export const getExportJob = (id) => {
+  return (jobsCache || []).find(job => job.id === id) || null;
+};
+
+/**
+ * Listen for changes to the export jobs, including progress
+ * @param {function} listener - Called with the list of jobs
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToExports = (listener) => {
+  listeners.add(listener);
+  loadExportJobs().then(jobs => {
+    if (listeners.has(listener)) listener(jobs);
+  });
+
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+const runJob = async (job) => {
+  // A job interrupted by the app closing leaves a partial output behind
+  if (job.partialUri) {
+    await deleteJobFiles({ partialUri: job.partialUri, edits: job.edits });
+  }
+  await updateJob(job.id, { status: EXPORT_JOB_STATUS.RUNNING, progress: 0, error: null, partialUri: null });
+
+  try {
+    const outputUri = await exportVideo(job.videoUri, {
+      segments: job.segments,
+      settings: job.settings,
+      metadata: job.metadata,
+      edits: job.edits,
+      watermark: job.watermark,
+      onProgress: (progress) => updateJob(job.id, { progress }, { persist: false }),
+      isCancelled: () => cancelRequests.has(job.id),
+      // Saved before FFmpeg starts so an app kill mid-export cannot orphan the file
+      onOutputUri: (partialUri) => updateJob(job.id, { partialUri }),
+    });
+    // Video exports write imported subtitles next to the clip
+    const subtitleUri = job.edits?.subtitles && !isAnimationExport(job.settings)
+      ? getSubtitleUri(outputUri, job.edits.subtitles.format)
+      : null;
+    await updateJob(job.id, {
+      status: EXPORT_JOB_STATUS.COMPLETED,
+      progress: 1,
+      outputUri,
+      subtitleUri,
+      partialUri: null,
+    });
+  } catch (error) {
+    // Failed and cancelled exports have already removed their partial output
+    if (error instanceof ExportCancelledError || cancelRequests.has(job.id)) {
+      await updateJob(job.id, { status: EXPORT_JOB_STATUS.CANCELLED, progress: 0, partialUri: null });
+    } else {
+      console.log('Error exporting video:', error);
+      await updateJob(job.id, { status: EXPORT_JOB_STATUS.FAILED, progress: 0, error: error.message, partialUri: null });
+    }
+  } finally {
+    cancelRequests.delete(job.id);
+  }
+};
+
+/**
+ * Run queued jobs one at a time, oldest first
+ * @returns {Promise<void>}
+ */
+const processQueue = async () => {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    await loadExportJobs();
+
+    let next;
+    while ((next = [...jobsCache].reverse().find(job => job.status === EXPORT_JOB_STATUS.QUEUED))) {
+      await runJob(next);
+    }
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Load saved jobs and continue any that were interrupted
+ * @returns {Promise<void>}
+ */
+export const resumeExportQueue = () => processQueue();
+
+/**
+ * Add an export to the queue
+ * @param {object} data - Export data (videoUri, segments, settings, metadata, edits, watermark, projectId)
+ * @returns {Promise<object>} The queued job
+ */
+export const enqueueExport = async ({
+  videoUri,
+  segments,
+  settings,
+  metadata = null,
+  edits = null,
+  watermark = null,
+  projectId = null,
+}) => {
+  const jobs = await loadExportJobs();
+  const now = new Date().toISOString();
+  const job = {
+    id: createJobId(),
+    name: getVideoFileName(videoUri),
+    videoUri,
+    segments,
+    settings,
+    metadata,
+    edits,
+    // Kept with the job so retries use the watermark it was queued with
+    watermark,
+    projectId,
+    duration: getSegmentsDuration(segments),
+    status: EXPORT_JOB_STATUS.QUEUED,
+    progress: 0,
+    outputUri: null,
+    subtitleUri: null,
+    // Output being written, recorded so it can be removed if the export is interrupted
+    partialUri: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await setJobs([job, ...jobs]);
+  processQueue();
+  return job;
+};
+
+/**
+ * Cancel a queued or running export
+ * @param {string} id - Job id
+ * @returns {Promise<void>}
+ */
+export const cancelExport = async (id) => {
+  const job = getExportJob(id);
+  if (!job) return;
+
+  if (job.status === EXPORT_JOB_STATUS.QUEUED) {
+    await updateJob(id, { status: EXPORT_JOB_STATUS.CANCELLED });
+  } else if (job.status === EXPORT_JOB_STATUS.RUNNING) {
+    // The running export stops at its next progress update
+    cancelRequests.add(id);
+  }
+};
+
+/**
+ * Queue a failed or cancelled export again
+ * @param {string} id - Job id
+ * @returns {Promise<void>}
+ */
+export const retryExport = async (id) => {
+  const job = getExportJob(id);
+  if (!job || (job.status !== EXPORT_JOB_STATUS.FAILED && job.status !== EXPORT_JOB_STATUS.CANCELLED)) {
+    return;
+  }
+
+  await updateJob(id, { status: EXPORT_JOB_STATUS.QUEUED, progress: 0, error: null });
+  processQueue();
+};
+
+/**
+ * Remove a finished export from the list, deleting its output files
+ * @param {string} id - Job id
+ * @returns {Promise<void>}
+ */
+export const removeExport = async (id) => {
+  const job = getExportJob(id);
+  if (!job || !isFinished(job)) return;
+
+  await deleteJobFiles(job);
+  await setJobs(jobsCache.filter(item => item.id !== id));
+};
+
+export default {
+  EXPORT_JOBS_FILE,
+  MAX_FINISHED_JOBS,
+  EXPORT_JOB_STATUS,
+  loadExportJobs,
+  getExportJob,
+  subscribeToExports,
+  resumeExportQueue,
+  enqueueExport,
+  cancelExport,
+  retryExport,
+  removeExport,
+};
@@ -0,0 +1,309 @@
+// Export options: output resolution, quality and container, or an animated image
+import {
+  VIDEO_FORMATS,
+  VIDEO_RESOLUTIONS,
+  estimateFileSize,
+} from './videoUtils';
+
+/**
+ * Resolution id meaning "same as the source"
+ */
+export const ORIGINAL_RESOLUTION = 'ORIGINAL';
+
+/**
+ * Audio bitrate used for re-encoded exports, in kbps
+ */
+export const EXPORT_AUDIO_BITRATE = 128;
+
+/**
+ * Quality levels as a fraction of the source bitrate
+ * ORIGINAL keeps the source bitrate.
+ */
+export const EXPORT_QUALITIES = {
+  ORIGINAL: { id: 'ORIGINAL', name: 'Original', factor: 1 },
+  HIGH: { id: 'HIGH', name: 'High', factor: 0.8 },
+  MEDIUM: { id: 'MEDIUM', name: 'Medium', factor: 0.55 },
+  LOW: { id: 'LOW', name: 'Low', factor: 0.35 },
+};
+
+/**
+ * Containers offered for export, with the codecs each one is encoded with
+ */
+export const EXPORT_FORMATS = {
+  MP4: { id: 'MP4', name: 'MP4', extension: VIDEO_FORMATS.MP4, videoCodec: 'libx264', audioCodec: 'aac' },
+  MOV: { id: 'MOV', name: 'MOV', extension: VIDEO_FORMATS.MOV, videoCodec: 'libx264', audioCodec: 'aac' },
+  MKV: { id: 'MKV', name: 'MKV', extension: VIDEO_FORMATS.MKV, videoCodec: 'libx264', audioCodec: 'aac' },
+  WEBM: { id: 'WEBM', name: 'WebM', extension: VIDEO_FORMATS.WEBM, videoCodec: 'libvpx-vp9', audioCodec: 'libopus' },
+};
+
+/**
+ * Typical video bitrates (kbps) used when the source bitrate is unknown
+ */
+const FALLBACK_BITRATES = {
+  SD_480P: 1500,
+  HD_720P: 4000,
+  FHD_1080P: 8000,
+  UHD_4K: 35000,
+};
+
+export const DEFAULT_EXPORT_SETTINGS = {
+  resolution: ORIGINAL_RESOLUTION,
+  quality: EXPORT_QUALITIES.ORIGINAL.id,
+  format: EXPORT_FORMATS.MP4.id,
+};
+
+/**
+ * Animated image formats offered for export
+ * loopArgs are the muxer's -loop values for looping forever and for playing once.
+ */
+export const ANIMATION_FORMATS = {
+  GIF: { id: 'GIF', name: 'GIF', extension: '.gif', loopArgs: { loop: '0', once: '-1' } },
+  WEBP: { id: 'WEBP', name: 'WebP', extension: '.webp', loopArgs: { loop: '0', once: '1' } },
+};
+
+/**
+ * Frame rates offered for animated exports
+ */
+export const ANIMATION_FRAME_RATES = [5, 10, 15, 20, 24];
+
+/**
+ * Widths offered for animated exports, in pixels
+ */
+export const ANIMATION_WIDTHS = [240, 320, 480, 640];
+
+/**
+ * Animations longer than this (milliseconds) get large quickly
+ */
+export const ANIMATION_LENGTH_HINT = 15000;
+
+/**
+ * Rough bytes per pixel of each frame, used for size estimates
+ * GIF stores every frame with a 256 color palette; WebP compresses far better.
+ */
+const ANIMATION_BYTES_PER_PIXEL = {
+  GIF: 0.25,
+  WEBP: 0.06,
+};
+
+export const DEFAULT_ANIMATION_SETTINGS = {
+  format: ANIMATION_FORMATS.GIF.id,
+  frameRate: 10,
+  width: 480,
+  loop: true,
+};
+
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+const getSourceSize = (metadata) => {
+  const width = metadata?.displayWidth || metadata?.width;
+  const height = metadata?.displayHeight || metadata?.height;
+  return width && height ? { width, height } : null;
+};
+
+/**
+ * List the resolutions a video can be exported at, never larger than the source
+ * @param {object|null} metadata - Source video metadata
+ * @returns {Array} Resolution options ({ id, name })
+ */
+export const getAvailableResolutions = (metadata) => {
+  const source = getSourceSize(metadata);
+  const options = [{ id: ORIGINAL_RESOLUTION, name: 'Original' }];
+  if (!source) return options;
+
+  const shortSide = Math.min(source.width, source.height);
+  Object.entries(VIDEO_RESOLUTIONS).forEach(([id, resolution]) => {
+    if (resolution.height < shortSide) {
+      options.push({ id, name: resolution.name });
+    }
+  });
+
+  return options;
+};
+
+/**
+ * Get the output frame size for the chosen resolution
+ * The short side is matched to the resolution height, keeping orientation and aspect ratio.
+ * @param {object|null} metadata - Source video metadata
+ * @param {string} resolutionId - Resolution id
+ * @returns {object|null} { width, height }, or null to keep the source size
+ */
+export const getOutputSize = (metadata, resolutionId) => {
+  const source = getSourceSize(metadata);
+  const resolution = VIDEO_RESOLUTIONS[resolutionId];
+  if (!source || !resolution) return null;
+
+  const shortSide = Math.min(source.width, source.height);
+  if (resolution.height >= shortSide) return null;
+
+  const scale = resolution.height / shortSide;
+  return {
+    width: toEven(source.width * scale),
+    height: toEven(source.height * scale),
+  };
+};
+
+/**
+ * Get the video bitrate an export is encoded at
+ * The source bitrate is scaled by the change in pixel count and the quality factor.
+ * @param {object|null} metadata - Source video metadata
+ * @param {object} settings - Export settings
+ * @returns {number} Video bitrate in kbps
+ */
+export const getExportVideoBitrate = (metadata, settings) => {
+  const quality = EXPORT_QUALITIES[settings.quality] || EXPORT_QUALITIES.ORIGINAL;
+  const source = getSourceSize(metadata);
+  const outputSize = getOutputSize(metadata, settings.resolution);
+
+  if (!metadata?.bitrate) {
+    const resolutionId = settings.resolution in FALLBACK_BITRATES ? settings.resolution : 'FHD_1080P';
+    return Math.round(FALLBACK_BITRATES[resolutionId] * quality.factor);
+  }
+
+  const sourceVideoBitrate = Math.max(
+    100,
+    metadata.bitrate - (metadata.hasAudio === false ? 0 : EXPORT_AUDIO_BITRATE)
+  );
+  const pixelRatio = outputSize && source
+    ? (outputSize.width * outputSize.height) / (source.width * source.height)
+    : 1;
+
+  return Math.round(sourceVideoBitrate * pixelRatio * quality.factor);
+};
+
+/**
+ * Check whether an export keeps the source's resolution, bitrate and container
+ * @param {object} settings - Export settings
+ * @returns {boolean} True for an MP4 at the original resolution and quality
+ */
+export const isOriginalQualityExport = (settings) => {
+  return settings.resolution === ORIGINAL_RESOLUTION &&
+    settings.quality === EXPORT_QUALITIES.ORIGINAL.id &&
+    settings.format === EXPORT_FORMATS.MP4.id;
+};
+
+/**
+ * Estimate the size of an export
+ * @param {object|null} metadata - Source video metadata
+ * @param {object} settings - Export settings
+ * @param {number} duration - Output duration in milliseconds
+ * @returns {number} Estimated size in bytes
+ */
+export const estimateExportSize = (metadata, settings, duration) => {
+  if (isOriginalQualityExport(settings) && metadata?.bitrate) {
+    return estimateFileSize(duration, metadata.bitrate);
+  }
+
+  const audioBitrate = metadata?.hasAudio === false ? 0 : EXPORT_AUDIO_BITRATE;
+  return estimateFileSize(duration, getExportVideoBitrate(metadata, settings) + audioBitrate);
+};
+
+/**
+ * Get the encoder options for an export
+ * @param {object|null} metadata - Source video metadata
+ * @param {object} settings - Export settings
+ * @returns {object} Codecs, bitrates, output size and file extension
+ */
+export const getExportEncoding = (metadata, settings) => {
+  const format = EXPORT_FORMATS[settings.format] || EXPORT_FORMATS.MP4;
+  return {
+    extension: format.extension,
+    videoCodec: format.videoCodec,
+    audioCodec: format.audioCodec,
+    videoBitrate: getExportVideoBitrate(metadata, settings),
+    audioBitrate: EXPORT_AUDIO_BITRATE,
+    outputSize: getOutputSize(metadata, settings.resolution),
+  };
+};
+
+/**
+ * Check whether export settings produce an animated image instead of a video
+ * @param {object|null} settings - Export settings
+ * @returns {boolean} True for GIF and WebP exports
+ */
+export const isAnimationExport = (settings) => {
+  return !!settings && settings.format in ANIMATION_FORMATS;
+};
+
+/**
+ * List the widths an animation can be exported at, never wider than the source
+ * @param {object|null} metadata - Source video metadata
+ * @returns {Array} Width options ({ id, name })
+ */
+export const getAvailableAnimationWidths = (metadata) => {
+  const source = getSourceSize(metadata);
+  const widths = source
+    ? ANIMATION_WIDTHS.filter(width => width <= source.width)
+    : ANIMATION_WIDTHS;
+
+  return (widths.length > 0 ? widths : [ANIMATION_WIDTHS[0]])
+    .map(width => ({ id: width, name: `${width}px` }));
+};
+
+/**
+ * Get the frame size of an animated export
+ * The width is capped at the source width and the height follows the aspect ratio.
+ * @param {object|null} metadata - Source video metadata
+ * @param {object} settings - Animation settings
+ * @returns {object} { width, height }
+ */
+export const getAnimationSize = (metadata, settings) => {
+  const source = getSourceSize(metadata);
+  const width = toEven(source ? Math.min(settings.width, source.width) : settings.width);
+  const aspect = source ? source.width / source.height : 16 / 9;
+  return { width, height: toEven(width / aspect) };
+};
+
+/**
+ * Estimate the size of an animated export
+ * @param {object|null} metadata - Source video metadata
+ * @param {object} settings - Animation settings
+ * @param {number} duration - Output duration in milliseconds
+ * @returns {number} Estimated size in bytes
+ */
+export const estimateAnimationSize = (metadata, settings, duration) => {
+  const { width, height } = getAnimationSize(metadata, settings);
+  const frames = Math.ceil((duration / 1000) * settings.frameRate);
+  const bytesPerPixel = ANIMATION_BYTES_PER_PIXEL[settings.format] || ANIMATION_BYTES_PER_PIXEL.GIF;
+  return Math.round(frames * width * height * bytesPerPixel);
+};
+
+/**
+ * Get the encoder options for an animated export
+ * @param {object|null} metadata - Source video metadata
+ * @param {object} settings - Animation settings
+ * @returns {object} Format, frame rate, frame size, muxer loop value and file extension
+ */
+export const getAnimationEncoding = (metadata, settings) => {
+  const format = ANIMATION_FORMATS[settings.format] || ANIMATION_FORMATS.GIF;
+  return {
+    format: format.id,
+    extension: format.extension,
+    frameRate: settings.frameRate || DEFAULT_ANIMATION_SETTINGS.frameRate,
+    outputSize: getAnimationSize(metadata, settings),
+    loop: settings.loop === false ? format.loopArgs.once : format.loopArgs.loop,
+  };
+};
+
+export default {
+  ORIGINAL_RESOLUTION,
+  EXPORT_AUDIO_BITRATE,
+  EXPORT_QUALITIES,
+  EXPORT_FORMATS,
+  DEFAULT_EXPORT_SETTINGS,
+  ANIMATION_FORMATS,
+  ANIMATION_FRAME_RATES,
+  ANIMATION_WIDTHS,
+  ANIMATION_LENGTH_HINT,
+  DEFAULT_ANIMATION_SETTINGS,
+  getAvailableResolutions,
+  getOutputSize,
+  getExportVideoBitrate,
+  isOriginalQualityExport,
+  estimateExportSize,
+  getExportEncoding,
+  isAnimationExport,
+  getAvailableAnimationWidths,
+  getAnimationSize,
+  estimateAnimationSize,
+  getAnimationEncoding,
+};
@@ -0,0 +1,155 @@
+// FFmpeg helpers for processing videos on device
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import FFmpegRunner from '../../modules/ffmpeg-runner';
+
+/**
+ * Directory exported files are written to
+ */
+export const EXPORT_DIRECTORY = `${FileSystem.documentDirectory}exports/`;
+
+/**
+ * Directories holding the device's system fonts
+ */
+const SYSTEM_FONT_DIRECTORIES = Platform.select({
+  ios: ['/System/Library/Fonts'],
+  default: ['/system/fonts'],
+});
+
+let fontRegistration = null;
+let executionCount = 0;
+
+/**
+ * Convert a file:// URI to a plain path understood by FFmpeg
+ * @param {string} uri - File URI
+ * @returns {string} File system path
+ */
+export const toFilePath = (uri) => {
+  if (!uri) return uri;
+  return uri.startsWith('file://') ? decodeURI(uri.replace('file://', '')) : uri;
+};
+
+/**
+ * Convert a plain file system path to a file:// URI
+ * @param {string} path - File system path
+ * @returns {string} File URI
+ */
+export const toFileUri = (path) => {
+  if (!path) return path;
+  return path.startsWith('file://') ? path : `file://${path}`;
+};
+
+/**
+ * Format milliseconds as seconds for FFmpeg time arguments
+ * @param {number} timeInMillis - Time in milliseconds
+ * @returns {string} Time in seconds with millisecond precision
+ */
+export const toFFmpegTime = (timeInMillis) => {
+  return (Math.max(0, timeInMillis) / 1000).toFixed(3);
+};
+
+/**
+ * Create a unique output file URI in the export directory
+ * @param {string} extension - File extension including the dot
+ * @returns {Promise<string>} Output file URI
+ */
+export const createOutputUri = async (extension = '.mp4') => {
+  const info = await FileSystem.getInfoAsync(EXPORT_DIRECTORY);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(EXPORT_DIRECTORY, { intermediates: true });
+  }
+  return `${EXPORT_DIRECTORY}trim_${Date.now()}${extension}`;
+};
+
+/**
+ * Run an FFmpeg command
+ * @param {string[]} args - FFmpeg command arguments
+ * @param {object} options - Run options
+ * @param {function} options.onProgress - Called with processed output time in milliseconds
+ * @param {function} options.isCancelled - Polled on each progress update; returning true cancels the command
+ * @returns {Promise<object>} The command result (returnCode, output)
+ */
+export const runFFmpeg = async (args, { onProgress, isCancelled } = {}) => {
+  executionCount += 1;
+  const executionId = `ffmpeg_${Date.now()}_${executionCount}`;
+
+  // Statistics for every running command arrive on one event, tagged with its execution id
+  const subscription = FFmpegRunner.addListener('onStatistics', (statistics) => {
+    if (statistics.executionId !== executionId) return;
+
+    if (isCancelled && isCancelled()) {
+      FFmpegRunner.cancel(executionId);
+      return;
+    }
+    if (onProgress) {
+      onProgress(statistics.time);
+    }
+  });
+
+  try {
+    const result = await FFmpegRunner.execute(executionId, args);
+    if (result.cancelled) {
+      throw new Error('FFmpeg command was cancelled');
+    }
+    if (result.returnCode !== 0) {
+      console.log('FFmpeg command failed:', result.output);
+      throw new Error(`FFmpeg command failed with code ${result.returnCode}`);
+    }
+    return result;
+  } finally {
+    subscription.remove();
+  }
+};
+
+/**
+ * Let FFmpeg look up system fonts by name when drawing text
+ * Registration happens once; a failed attempt is retried on the next call.
+ * @returns {Promise<void>}
+ */
+export const registerSystemFonts = () => {
+  if (!fontRegistration) {
+    fontRegistration = Promise.resolve()
+      .then(() => FFmpegRunner.setFontDirectories(SYSTEM_FONT_DIRECTORIES))
+      .catch(error => {
+        console.log('Error registering system fonts:', error);
+        fontRegistration = null;
+      });
+  }
+  return fontRegistration;
+};
+
+/**
+ * Read stream and format information for a media file
+ * @param {string} uri - Media file URI
+ * @returns {Promise<object>} FFprobe JSON output ({ format, streams })
+ */
+export const probeMedia = async (uri) => {
+  const information = JSON.parse(await FFmpegRunner.probe(toFilePath(uri)));
+
+  if (!information?.format) {
+    throw new Error('Could not read media information');
+  }
+  return { format: information.format, streams: information.streams || [] };
+};
+
+/**
+ * Check whether a media file has an audio stream
+ * @param {string} uri - Media file URI
+ * @returns {Promise<boolean>} True if an audio stream exists
+ */
+export const hasAudioStream = async (uri) => {
+  const information = await probeMedia(uri);
+  return information.streams.some(stream => stream.codec_type === 'audio');
+};
+
+export default {
+  EXPORT_DIRECTORY,
+  toFilePath,
+  toFileUri,
+  toFFmpegTime,
+  createOutputUri,
+  runFFmpeg,
+  registerSystemFonts,
+  probeMedia,
+  hasAudioStream,
+};
@@ -0,0 +1,127 @@
+// Still frame capture at the playhead, for saving stills and project covers
+import * as FileSystem from 'expo-file-system';
+import { toFilePath, toFFmpegTime, runFFmpeg } from './ffmpegUtils';
+import { getProject, updateProject } from './projectStore';
+
+/**
+ * Image formats a frame can be captured as
+ */
+export const FRAME_FORMATS = {
+  JPEG: { id: 'JPEG', name: 'JPEG', extension: '.jpg' },
+  PNG: { id: 'PNG', name: 'PNG', extension: '.png' },
+};
+
+/**
+ * Directory captured frames are written to before they are saved or used
+ */
+export const FRAME_DIRECTORY = `${FileSystem.cacheDirectory}frames/`;
+
+/**
+ * Directory project cover images are kept in
+ */
+export const COVER_DIRECTORY = `${FileSystem.documentDirectory}covers/`;
+
+const ensureDirectory = async (directory) => {
+  const info = await FileSystem.getInfoAsync(directory);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+  }
+};
+
+/**
+ * Build FFmpeg arguments that write a single frame at full source resolution
+ * Seeking before the input is frame accurate because the frame is decoded, not copied.
+ * @param {string} inputPath - Source file path
+ * @param {number} time - Frame time in milliseconds
+ * @param {string} outputPath - Output image path
+ * @param {string} formatId - Frame format id
+ * @returns {string[]} FFmpeg command arguments
+ */
+export const buildFrameArguments = (inputPath, time, outputPath, formatId) => {
+  const args = ['-y', '-ss', toFFmpegTime(time), '-i', inputPath, '-frames:v', '1', '-an'];
+  if (formatId !== FRAME_FORMATS.PNG.id) {
+    // 2 is the highest practical JPEG quality on FFmpeg's 2-31 scale
+    args.push('-q:v', '2');
+  }
+  args.push(outputPath);
+  return args;
+};
+
+/**
+ * Capture the frame shown at a time
+ * @param {string} videoUri - Source video URI
+ * @param {number} time - Frame time in source milliseconds
+ * @param {string} formatId - Frame format id (JPEG or PNG)
+ * @returns {Promise<string>} URI of the captured image, removed with discardFrame once used
+ */
+export const captureFrame = async (videoUri, time, formatId = FRAME_FORMATS.JPEG.id) => {
+  if (!videoUri) {
+    throw new Error('No video to capture from');
+  }
+
+  const format = FRAME_FORMATS[formatId] || FRAME_FORMATS.JPEG;
+  await ensureDirectory(FRAME_DIRECTORY);
+  const frameUri = `${FRAME_DIRECTORY}frame_${Date.now()}${format.extension}`;
+
+  try {
+    await runFFmpeg(buildFrameArguments(toFilePath(videoUri), Math.max(0, time), toFilePath(frameUri), format.id));
+  } catch (error) {
+    await discardFrame(frameUri);
+    throw error;
+  }
+
+  const info = await FileSystem.getInfoAsync(frameUri);
+  if (!info.exists) {
+    throw new Error('No frame was captured at this time');
+  }
+  return frameUri;
+};
+
+/**
+ * Delete a captured frame
+ * @param {string} frameUri - Captured frame URI
+ * @returns {Promise<void>}
+ */
+export const discardFrame = async (frameUri) => {
+  try {
+    await FileSystem.deleteAsync(frameUri, { idempotent: true });
+  } catch (error) {
+    console.log('Error deleting captured frame:', error);
+  }
+};
+
+/**
+ * Use a captured frame as a project's cover, replacing any previous cover
+ * The frame is moved out of the cache so it is kept with the project.
+ * @param {string} projectId - Project id
+ * @param {string} frameUri - Captured frame URI
+ * @returns {Promise<object>} The updated project
+ */
+export const setProjectCover = async (projectId, frameUri) => {
+  const project = projectId ? await getProject(projectId) : null;
+  if (!project) {
+    throw new Error('The project could not be found');
+  }
+
+  await ensureDirectory(COVER_DIRECTORY);
+  // A new name per cover so image caches never show the previous one
+  const extension = frameUri.slice(frameUri.lastIndexOf('.'));
+  const coverUri = `${COVER_DIRECTORY}${projectId}_${Date.now()}${extension}`;
+  await FileSystem.moveAsync({ from: frameUri, to: coverUri });
+
+  const updated = await updateProject(projectId, { coverUri });
+  if (project.coverUri) {
+    await discardFrame(project.coverUri);
+  }
+  return updated;
+};
+
+export default {
+  FRAME_FORMATS,
+  FRAME_DIRECTORY,
+  COVER_DIRECTORY,
+  buildFrameArguments,
+  captureFrame,
+  discardFrame,
+  setProjectCover,
+};
@@ -0,0 +1,117 @@
+// Gallery helpers for saving exported videos and images to the device media library
+import { Platform } from 'react-native';
+import * as MediaLibrary from 'expo-media-library';
+
+/**
+ * Album that exported videos are collected in
+ */
+export const TRIMMED_ALBUM_NAME = 'Trimmed';
+
+/**
+ * Request media library access needed to save media
+ * @param {string[]} mediaTypes - Android granular permissions to ask for ('video', 'photo')
+ * @returns {Promise<object>} Object with granted flag and whether access is limited
+ */
+export const requestGalleryPermissions = async (mediaTypes = ['video']) => {
+  const permissions = Platform.OS === 'android'
+    ? await MediaLibrary.requestPermissionsAsync(false, mediaTypes)
+    : await MediaLibrary.requestPermissionsAsync();
+
+  return {
+    granted: permissions.status === 'granted',
+    isLimited: permissions.accessPrivileges === 'limited',
+    canAskAgain: permissions.canAskAgain,
+  };
+};
+
+/**
+ * Add an asset to the Trimmed album, creating the album on first use
+ * @param {object} asset - Media library asset
+ * @returns {Promise<object>} The album the asset was added to
+ */
+const addToTrimmedAlbum = async (asset) => {
+  const album = await MediaLibrary.getAlbumAsync(TRIMMED_ALBUM_NAME);
+
+  if (!album) {
+    // copyAsset=false moves the file on Android instead of duplicating it
+    return MediaLibrary.createAlbumAsync(TRIMMED_ALBUM_NAME, asset, false);
+  }
+
+  await MediaLibrary.addAssetsToAlbumAsync([asset], album, false);
+  return album;
+};
+
+/**
+ * Save a media file to the gallery inside the Trimmed album
+ *
+ * With limited access the asset can still be created, but albums may not be
+ * readable or writable; if the album step fails the file is kept in the
+ * library and addedToAlbum is false.
+ *
+ * @param {string} uri - Local file URI
+ * @param {string[]} mediaTypes - Android granular permissions the file needs
+ * @returns {Promise<object>} Object with asset, addedToAlbum and isLimited
+ */
+const saveToGallery = async (uri, mediaTypes) => {
+  const { granted, isLimited } = await requestGalleryPermissions(mediaTypes);
+  if (!granted) {
+    throw new Error('Media library permission not granted');
+  }
+
+  const asset = await MediaLibrary.createAssetAsync(uri);
+
+  try {
+    await addToTrimmedAlbum(asset);
+    return { asset, addedToAlbum: true, isLimited };
+  } catch (error) {
+    console.log('Error adding asset to album:', error);
+    return { asset, addedToAlbum: false, isLimited };
+  }
+};
+
+/**
+ * Save a video file to the gallery inside the Trimmed album
+ * @param {string} videoUri - Local file URI of the video
+ * @returns {Promise<object>} Object with asset, addedToAlbum and isLimited
+ */
+export const saveVideoToGallery = async (videoUri) => {
+  if (!videoUri) {
+    throw new Error('No video to save');
+  }
+  return saveToGallery(videoUri, ['video']);
+};
+
+/**
+ * Save an image file, such as an animated GIF or WebP, to the gallery inside the Trimmed album
+ * @param {string} imageUri - Local file URI of the image
+ * @returns {Promise<object>} Object with asset, addedToAlbum and isLimited
+ */
+export const saveImageToGallery = async (imageUri) => {
+  if (!imageUri) {
+    throw new Error('No image to save');
+  }
+  return saveToGallery(imageUri, ['photo']);
+};
+
+/**
+ * Describe where a saved export ended up
+ * @param {string} label - What was saved, such as Video or Animation
+ * @param {object} result - Result of saveVideoToGallery or saveImageToGallery
+ * @returns {string} Message for the Saved alert
+ */
+export const getSavedMessage = (label, { addedToAlbum, isLimited }) => {
+  if (addedToAlbum) {
+    return `${label} saved to the "${TRIMMED_ALBUM_NAME}" album`;
+  }
+  return isLimited
+    ? `${label} saved to your library, but it could not be added to the "${TRIMMED_ALBUM_NAME}" album because only limited photo access was granted.`
+    : `${label} saved to your library, but it could not be added to the "${TRIMMED_ALBUM_NAME}" album.`;
+};
+
+export default {
+  TRIMMED_ALBUM_NAME,
+  requestGalleryPermissions,
+  saveVideoToGallery,
+  saveImageToGallery,
+  getSavedMessage,
+};
@@ -0,0 +1,143 @@
+// Background music tracks mixed under the clip audio
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { Audio } from 'expo-av';
+import { clamp } from './videoUtils';
+import { toFFmpegTime } from './ffmpegUtils';
+
+/**
+ * Directory picked music is copied to, so projects keep working after the picker cache is cleared
+ */
+export const MUSIC_DIRECTORY = `${FileSystem.documentDirectory}music/`;
+
+/**
+ * Default balance between the clip audio (0) and the music (1)
+ */
+export const DEFAULT_MUSIC_MIX = 0.5;
+
+/**
+ * Drift between the music and the video tolerated during preview, in milliseconds
+ */
+export const MUSIC_SYNC_TOLERANCE = 250;
+
+/**
+ * Get the volume of the clip audio and the music for a mix ratio
+ * Both play at full volume in the middle, and each fades out towards its end of the range.
+ * @param {number} mix - Balance between 0 (clip audio only) and 1 (music only)
+ * @returns {object} Levels between 0 and 1 ({ original, music })
+ */
+export const getMusicMixLevels = (mix) => {
+  return {
+    original: clamp((1 - mix) * 2, 0, 1),
+    music: clamp(mix * 2, 0, 1),
+  };
+};
+
+/**
+ * Get the position in the music track that plays at a point of the output
+ * @param {object} music - Music settings
+ * @param {number} outputTime - Position in the output in milliseconds
+ * @returns {number} Position in the music track in milliseconds
+ */
+export const getMusicPosition = (music, outputTime) => {
+  return music.offset + outputTime;
+};
+
+/**
+ * Read the duration of an audio file
+ * @param {string} uri - Audio file URI
+ * @returns {Promise<number>} Duration in milliseconds
+ */
+const getAudioDuration = async (uri) => {
+  const { sound, status } = await Audio.Sound.createAsync({ uri }, { shouldPlay: false });
+  await sound.unloadAsync();
+
+  if (!status.isLoaded || !status.durationMillis) {
+    throw new Error('Could not read the audio file');
+  }
+  return status.durationMillis;
+};
+
+/**
+ * Let the user pick an audio file and copy it into the app's music directory
+ * @returns {Promise<object|null>} Music settings, or null if the picker was cancelled
+ */
+export const pickMusicTrack = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: 'audio/*',
+    copyToCacheDirectory: true,
+  });
+
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  const [asset] = result.assets;
+  const info = await FileSystem.getInfoAsync(MUSIC_DIRECTORY);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(MUSIC_DIRECTORY, { intermediates: true });
+  }
+
+  const extension = asset.name?.includes('.') ? asset.name.slice(asset.name.lastIndexOf('.')) : '.m4a';
+  const uri = `${MUSIC_DIRECTORY}music_${Date.now()}${extension}`;
+  await FileSystem.copyAsync({ from: asset.uri, to: uri });
+
+  try {
+    return {
+      uri,
+      name: asset.name || 'Music',
+      duration: await getAudioDuration(uri),
+      offset: 0,
+      mix: DEFAULT_MUSIC_MIX,
+    };
+  } catch (error) {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+    throw error;
+  }
+};
+
+/**
+ * Delete the app's copy of a music track once no clip uses it
+ * @param {object|null} music - Music settings
+ * @returns {Promise<void>}
+ */
+export const deleteMusicTrack = async (music) => {
+  if (!music?.uri) return;
+
+  try {
+    await FileSystem.deleteAsync(music.uri, { idempotent: true });
+  } catch (error) {
+    console.log('Error deleting music track:', error);
+  }
+};
+
+/**
+ * Build the FFmpeg filters that cut the music to the output and set its level
+ * @param {object} music - Music settings
+ * @param {number} duration - Output duration in milliseconds
+ * @returns {string[]} FFmpeg audio filters for the music input
+ */
+export const buildMusicFilters = (music, duration) => {
+  const levels = getMusicMixLevels(music.mix);
+  const filters = [
+    `atrim=start=${toFFmpegTime(music.offset)}:duration=${toFFmpegTime(duration)}`,
+    'asetpts=PTS-STARTPTS',
+  ];
+
+  if (levels.music !== 1) {
+    filters.push(`volume=${levels.music.toFixed(2)}`);
+  }
+
+  return filters;
+};
+
+export default {
+  MUSIC_DIRECTORY,
+  DEFAULT_MUSIC_MIX,
+  MUSIC_SYNC_TOLERANCE,
+  getMusicMixLevels,
+  getMusicPosition,
+  pickMusicTrack,
+  deleteMusicTrack,
+  buildMusicFilters,
+};
@@ -0,0 +1,250 @@
+// File-backed store of trim projects so edits survive leaving the trimmer
+import * as FileSystem from 'expo-file-system';
+import * as MediaLibrary from 'expo-media-library';
+import { deleteMusicTrack } from './musicUtils';
+
+/**
+ * File the project library is persisted to
+ */
+export const PROJECTS_FILE = `${FileSystem.documentDirectory}projects.json`;
+
+/**
+ * Number of projects kept in the library; the oldest are dropped first
+ */
+export const MAX_PROJECTS = 50;
+
+let projectsCache = null;
+let writeQueue = Promise.resolve();
+let updateQueue = Promise.resolve();
+
+const createProjectId = () => {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+const sortByUpdated = (projects) => {
+  return [...projects].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Get a readable name for a video from its URI
+ * @param {string} videoUri - Video URI
+ * @returns {string} File name without directories
+ */
+export const getVideoFileName = (videoUri) => {
+  if (!videoUri) return 'Untitled';
+  const name = decodeURIComponent(videoUri.split('/').pop() || '');
+  return name || 'Untitled';
+};
+
+/**
+ * Load all projects, most recently updated first
+ * @returns {Promise<Array>} List of projects
+ */
+export const loadProjects = async () => {
+  if (projectsCache) {
+    return projectsCache;
+  }
+
+  try {
+    const info = await FileSystem.getInfoAsync(PROJECTS_FILE);
+    if (!info.exists) {
+      projectsCache = [];
+      return projectsCache;
+    }
+
+    const contents = await FileSystem.readAsStringAsync(PROJECTS_FILE);
+    const data = JSON.parse(contents);
+    projectsCache = sortByUpdated(Array.isArray(data.projects) ? data.projects : []);
+  } catch (error) {
+    console.log('Error loading projects:', error);
+    projectsCache = [];
+  }
+
+  return projectsCache;
+};
+
+/**
+ * Delete the files a project owns: its cover image and its copy of the background music
+ * @param {object} project - Project
+ * @returns {Promise<void>}
+ */
+const deleteProjectFiles = async (project) => {
+  if (!project) return;
+
+  if (project.coverUri) {
+    try {
+      await FileSystem.deleteAsync(project.coverUri, { idempotent: true });
+    } catch (error) {
+      console.log('Error deleting project cover:', error);
+    }
+  }
+  await deleteMusicTrack(project.edits?.music);
+};
+
+/**
+ * Persist the given projects, serialized so concurrent saves cannot interleave
+ * The oldest projects past MAX_PROJECTS are dropped, along with their files.
+ * @param {Array} projects - List of projects
+ * @returns {Promise<void>}
+ */
+const writeProjects = (projects) => {
+  const sorted = sortByUpdated(projects);
+  projectsCache = sorted.slice(0, MAX_PROJECTS);
+  sorted.slice(MAX_PROJECTS).forEach(deleteProjectFiles);
+  const contents = JSON.stringify({ version: 1, projects: projectsCache });
+
+  writeQueue = writeQueue
+    .then(() => FileSystem.writeAsStringAsync(PROJECTS_FILE, contents))
+    .catch(error => console.log('Error saving projects:', error));
+
+  return writeQueue;
+};
+
+/**
+ * Run a read-modify-write of the project list once every earlier one has finished,
+ * so updates made in quick succession never start from the same stale list
+ * @param {function} update - Called with the current projects; may return a promise
+ * @returns {Promise<*>} Whatever the update returns
+ */
+const queueUpdate = (update) => {
+  const result = updateQueue.then(async () => update(await loadProjects()));
+  updateQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Merge changes into one project and persist the list
+ * @param {Array} projects - Current projects
+ * @param {string} id - Project id
+ * @param {function} getChanges - Called with the existing project; returns the fields to merge
+ * @returns {Promise<object|null>} The updated project, or null if not found
+ */
+const applyProjectChanges = async (projects, id, getChanges) => {
+  const existing = projects.find(project => project.id === id);
+  if (!existing) return null;
+
+  const updated = { ...existing, ...getChanges(existing), id, updatedAt: new Date().toISOString() };
+  await writeProjects(projects.map(project => (project.id === id ? updated : project)));
+
+  // Each pick copies the track, so a replaced or removed one is no longer used anywhere
+  const previousMusic = existing.edits?.music;
+  if (previousMusic && previousMusic.uri !== updated.edits?.music?.uri) {
+    await deleteMusicTrack(previousMusic);
+  }
+  return updated;
+};
+
+/**
+ * Get a project by id
+ * @param {string} id - Project id
+ * @returns {Promise<object|null>} The project, or null if not found
+ */
+export const getProject = async (id) => {
+  const projects = await loadProjects();
+  return projects.find(project => project.id === id) || null;
+};
+
+/**
+ * Create a new project for a video
+ * @param {object} data - Initial project data (videoUri, assetId, videoDuration, metadata, segments, settings, edits)
+ * @returns {Promise<object>} The saved project
+ */
+export const createProject = async ({
+  videoUri,
+  assetId = null,
+  videoDuration,
+  metadata = null,
+  segments = [],
+  settings = {},
+  edits = null,
+}) => {
+  const now = new Date().toISOString();
+  const project = {
+    id: createProjectId(),
+    name: getVideoFileName(videoUri),
+    videoUri,
+    assetId,
+    videoDuration,
+    metadata,
+    segments,
+    settings,
+    edits,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await queueUpdate(projects => writeProjects([project, ...projects]));
+  return project;
+};
+
+/**
+ * Update an existing project
+ * @param {string} id - Project id
+ * @param {object} changes - Fields to merge into the project
+ * @returns {Promise<object|null>} The updated project, or null if not found
+ */
+export const updateProject = (id, changes) => {
+  return queueUpdate(projects => applyProjectChanges(projects, id, () => changes));
+};
+
+/**
+ * Update some of a project's clip edits, keeping the others
+ * @param {string} id - Project id
+ * @param {object} changes - Edit fields to replace (crop, audio, ...)
+ * @returns {Promise<object|null>} The updated project, or null if not found
+ */
+export const updateProjectEdits = (id, changes) => {
+  return queueUpdate(projects => applyProjectChanges(projects, id, existing => ({
+    edits: { ...existing.edits, ...changes },
+  })));
+};
+
+/**
+ * Delete a project, along with its cover image and music copy
+ * @param {string} id - Project id
+ * @returns {Promise<void>}
+ */
+export const deleteProject = async (id) => {
+  const project = await queueUpdate(async (projects) => {
+    await writeProjects(projects.filter(item => item.id !== id));
+    return projects.find(item => item.id === id);
+  });
+
+  await deleteProjectFiles(project);
+};
+
+/**
+ * Check whether a project's source video still exists on the device
+ * Library videos are looked up by asset id, since the picker's file copy can be cleared
+ * while the video itself is still in the library; the file is only checked without one.
+ * @param {object} project - Project (videoUri, assetId)
+ * @returns {Promise<boolean>} False only when the video is known to be missing
+ */
+export const isSourceAvailable = async ({ videoUri, assetId }) => {
+  if (!videoUri && !assetId) return false;
+
+  try {
+    if (assetId) {
+      return !!(await MediaLibrary.getAssetInfoAsync(assetId));
+    }
+    const info = await FileSystem.getInfoAsync(videoUri);
+    return info.exists;
+  } catch (error) {
+    // Sources that cannot be inspected are assumed to still be valid
+    console.log('Could not check source video:', error);
+    return true;
+  }
+};
+
+export default {
+  PROJECTS_FILE,
+  MAX_PROJECTS,
+  getVideoFileName,
+  loadProjects,
+  getProject,
+  createProject,
+  updateProject,
+  updateProjectEdits,
+  deleteProject,
+  isSourceAvailable,
+};
@@ -0,0 +1,206 @@
+// Segment helpers for multi-range trimming
+import { clamp, calculateTrimmedDuration } from './videoUtils';
+
+/**
+ * Shortest segment that can be created or split off
+ */
+export const MIN_SEGMENT_DURATION = 1000;
+
+/**
+ * Default length of a newly added segment
+ */
+export const DEFAULT_SEGMENT_DURATION = 5000;
+
+/**
+ * Speeds a segment can be played at in the output, from slow motion to fast forward
+ */
+export const SEGMENT_SPEEDS = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+
+let segmentCounter = 0;
+
+/**
+ * Create a segment object
+ * @param {number} startTime - Start time in milliseconds
+ * @param {number} endTime - End time in milliseconds
+ * @returns {object} Segment with a unique id
+ */
+export const createSegment = (startTime, endTime) => {
+  segmentCounter += 1;
+  return {
+    id: `${Date.now().toString(36)}-${segmentCounter}`,
+    startTime,
+    endTime,
+  };
+};
+
+/**
+ * Get the speed a segment plays at in the output
+ * @param {object} segment - Segment
+ * @returns {number} Speed multiplier (1 for segments saved before speeds existed)
+ */
+export const getSegmentSpeed = (segment) => {
+  return segment?.speed || 1;
+};
+
+/**
+ * Check whether any segment plays at a changed speed
+ * @param {Array} segments - List of segments
+ * @returns {boolean} True if the output timing differs from the source
+ */
+export const hasSpeedChanges = (segments) => {
+  return segments.some(segment => getSegmentSpeed(segment) !== 1);
+};
+
+/**
+ * Get the length of a segment in the output, after its speed change
+ * @param {object} segment - Segment
+ * @returns {number} Duration in milliseconds
+ */
+export const getSegmentOutputDuration = (segment) => {
+  return calculateTrimmedDuration(segment.startTime, segment.endTime) / getSegmentSpeed(segment);
+};
+
+/**
+ * Get the total output duration of all segments, after speed changes
+ * @param {Array} segments - List of segments
+ * @returns {number} Duration in milliseconds
+ */
+export const getSegmentsDuration = (segments) => {
+  return segments.reduce((total, segment) => total + getSegmentOutputDuration(segment), 0);
+};
+
+/**
+ * Replace the range of one segment
+ * @param {Array} segments - List of segments
+ * @param {string} id - Segment id
+ * @param {object} changes - New startTime, endTime and/or speed
+ * @returns {Array} Updated list of segments
+ */
+export const updateSegment = (segments, id, changes) => {
+  return segments.map(segment => (segment.id === id ? { ...segment, ...changes } : segment));
+};
+
+/**
+ * Add a segment after the given one, placed at the given time
+ * @param {Array} segments - List of segments
+ * @param {string} afterId - Id of the segment to insert after (appends if not found)
+ * @param {number} atTime - Preferred start time in milliseconds
+ * @param {number} videoDuration - Total video duration in milliseconds
+ * @returns {object} Object with the updated segments and the new segment
+ */
+export const addSegment = (segments, afterId, atTime, videoDuration) => {
+  const length = Math.min(DEFAULT_SEGMENT_DURATION, videoDuration);
+  const startTime = clamp(atTime, 0, videoDuration - length);
+  const segment = createSegment(startTime, startTime + length);
+
+  const index = segments.findIndex(item => item.id === afterId);
+  const insertAt = index === -1 ? segments.length : index + 1;
+
+  return {
+    segments: [...segments.slice(0, insertAt), segment, ...segments.slice(insertAt)],
+    segment,
+  };
+};
+
+/**
+ * Split a segment in two at the given time
+ * @param {Array} segments - List of segments
+ * @param {string} id - Segment id
+ * @param {number} atTime - Split time in milliseconds
+ * @returns {object|null} Updated segments and the second half, or null if the split is too close to an edge
+ */
+export const splitSegment = (segments, id, atTime) => {
+  const index = segments.findIndex(segment => segment.id === id);
+  if (index === -1) return null;
+
+  const segment = segments[index];
+  if (
+    atTime - segment.startTime < MIN_SEGMENT_DURATION ||
+    segment.endTime - atTime < MIN_SEGMENT_DURATION
+  ) {
+    return null;
+  }
+
+  // Both halves keep the segment's speed
+  const first = { ...segment, endTime: atTime };
+  const second = { ...segment, ...createSegment(atTime, segment.endTime) };
+
+  return {
+    segments: [...segments.slice(0, index), first, second, ...segments.slice(index + 1)],
+    segment: second,
+  };
+};
+
+/**
+ * Remove a segment, keeping at least one
+ * @param {Array} segments - List of segments
+ * @param {string} id - Segment id
+ * @returns {Array} Updated list of segments
+ */
+export const removeSegment = (segments, id) => {
+  if (segments.length <= 1) return segments;
+  return segments.filter(segment => segment.id !== id);
+};
+
+/**
+ * Move a segment one position earlier or later in the output order
+ * @param {Array} segments - List of segments
+ * @param {string} id - Segment id
+ * @param {number} direction - -1 to move earlier, 1 to move later
+ * @returns {Array} Updated list of segments
+ */
+export const moveSegment = (segments, id, direction) => {
+  const index = segments.findIndex(segment => segment.id === id);
+  const target = index + direction;
+  if (index === -1 || target < 0 || target >= segments.length) return segments;
+
+  const reordered = [...segments];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+};
+
+/**
+ * Check that every segment is a valid range of at least the minimum duration
+ * @param {Array} segments - List of segments
+ * @returns {boolean} True if valid, false otherwise
+ */
+export const validateSegments = (segments) => {
+  return Array.isArray(segments) && segments.length > 0 && segments.every(
+    segment => segment.startTime >= 0 &&
+      segment.endTime - segment.startTime >= MIN_SEGMENT_DURATION
+  );
+};
+
+/**
+ * Convert a source position inside a segment to a position in the joined output
+ * @param {Array} segments - List of segments in output order
+ * @param {number} index - Index of the segment being played
+ * @param {number} positionMillis - Position in the source video
+ * @returns {number} Position in the joined output in milliseconds
+ */
+export const getOutputTime = (segments, index, positionMillis) => {
+  const segment = segments[index];
+  if (!segment) return 0;
+
+  const elapsedBefore = getSegmentsDuration(segments.slice(0, index));
+  const elapsedInSegment = clamp(positionMillis - segment.startTime, 0, segment.endTime - segment.startTime);
+  return elapsedBefore + elapsedInSegment / getSegmentSpeed(segment);
+};
+
+export default {
+  MIN_SEGMENT_DURATION,
+  DEFAULT_SEGMENT_DURATION,
+  SEGMENT_SPEEDS,
+  createSegment,
+  getSegmentSpeed,
+  hasSpeedChanges,
+  getSegmentOutputDuration,
+  getSegmentsDuration,
+  updateSegment,
+  addSegment,
+  splitSegment,
+  removeSegment,
+  moveSegment,
+  validateSegments,
+  getOutputTime,
+};
@@ -0,0 +1,228 @@
+// SRT and WebVTT subtitles: parsing, trimming to the output and writing
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { getSegmentSpeed, getSegmentOutputDuration } from './segmentUtils';
+
+/**
+ * Subtitle file formats that can be imported and exported
+ */
+export const SUBTITLE_FORMATS = {
+  SRT: { id: 'SRT', name: 'SRT', extension: '.srt', decimalSeparator: ',' },
+  VTT: { id: 'VTT', name: 'WebVTT', extension: '.vtt', decimalSeparator: '.' },
+};
+
+// Matches "00:01:02,500 --> 00:01:04.000"; hours are optional in WebVTT
+const TIMING_PATTERN = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+/**
+ * Parse a subtitle timestamp
+ * @param {string} timestamp - Timestamp such as 00:01:02,500 or 01:02.500
+ * @returns {number} Time in milliseconds
+ */
+export const parseTimestamp = (timestamp) => {
+  const [clock, fraction = '0'] = timestamp.trim().split(/[.,]/);
+  const parts = clock.split(':').map(Number);
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds * 1000 + Number(fraction.padEnd(3, '0').slice(0, 3));
+};
+
+/**
+ * Format a time as a subtitle timestamp
+ * @param {number} timeInMillis - Time in milliseconds
+ * @param {string} formatId - Subtitle format id
+ * @returns {string} Timestamp in HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT) form
+ */
+export const formatTimestamp = (timeInMillis, formatId) => {
+  const format = SUBTITLE_FORMATS[formatId] || SUBTITLE_FORMATS.SRT;
+  const total = Math.max(0, Math.round(timeInMillis));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${format.decimalSeparator}${pad(total % 1000, 3)}`;
+};
+
+/**
+ * Parse SRT or WebVTT contents into cues
+ * Blocks without a timing line (the WEBVTT header, NOTE and STYLE blocks) are skipped.
+ * @param {string} contents - Subtitle file contents
+ * @returns {Array} Cues ({ start, end, text }) sorted by start time
+ */
+export const parseSubtitles = (contents) => {
+  const blocks = contents
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n[ \t]*\n/);
+  const cues = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    const match = timingIndex !== -1 && lines[timingIndex].match(TIMING_PATTERN);
+    if (!match) return;
+
+    const text = lines.slice(timingIndex + 1).join('\n').trim();
+    const start = parseTimestamp(match[1]);
+    const end = parseTimestamp(match[2]);
+    if (text && end > start) {
+      cues.push({ start, end, text });
+    }
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Detect the format of a subtitle file
+ * @param {string} contents - Subtitle file contents
+ * @param {string} name - File name
+ * @returns {string} Subtitle format id
+ */
+export const detectSubtitleFormat = (contents, name = '') => {
+  if (contents.replace(/^\uFEFF/, '').startsWith('WEBVTT') || name.toLowerCase().endsWith('.vtt')) {
+    return SUBTITLE_FORMATS.VTT.id;
+  }
+  return SUBTITLE_FORMATS.SRT.id;
+};
+
+/**
+ * Write cues as an SRT or WebVTT file's contents
+ * @param {Array} cues - Cues ({ start, end, text })
+ * @param {string} formatId - Subtitle format id
+ * @returns {string} Subtitle file contents
+ */
+export const formatSubtitles = (cues, formatId) => {
+  const blocks = cues.map((cue, index) => {
+    const timing = `${formatTimestamp(cue.start, formatId)} --> ${formatTimestamp(cue.end, formatId)}`;
+    return formatId === SUBTITLE_FORMATS.VTT.id
+      ? `${timing}\n${cue.text}`
+      : `${index + 1}\n${timing}\n${cue.text}`;
+  });
+
+  const body = `${blocks.join('\n\n')}\n`;
+  return formatId === SUBTITLE_FORMATS.VTT.id ? `WEBVTT\n\n${body}` : body;
+};
+
+/**
+ * Remove markup that is not shown on screen, such as <i> tags and {\an8} positioning
+ * @param {string} text - Cue text
+ * @returns {string} Plain text
+ */
+export const getCueDisplayText = (text) => {
+  return text.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').trim();
+};
+
+/**
+ * Move cues onto the output timeline
+ * Each segment keeps the part of every cue it overlaps, shifted to where the segment
+ * lands in the output and stretched by its speed. Cues outside all segments are dropped.
+ * @param {Array} cues - Cues in source time
+ * @param {Array} segments - Segments in output order
+ * @returns {Array} Cues in output time
+ */
+export const mapCuesToOutput = (cues, segments) => {
+  const outputCues = [];
+  let offset = 0;
+
+  segments.forEach(segment => {
+    const speed = getSegmentSpeed(segment);
+
+    cues.forEach(cue => {
+      const start = Math.max(cue.start, segment.startTime);
+      const end = Math.min(cue.end, segment.endTime);
+      if (end <= start) return;
+
+      outputCues.push({
+        start: Math.round(offset + (start - segment.startTime) / speed),
+        end: Math.round(offset + (end - segment.startTime) / speed),
+        text: cue.text,
+      });
+    });
+
+    offset += getSegmentOutputDuration(segment);
+  });
+
+  return outputCues;
+};
+
+/**
+ * Find the cue shown at a time
+ * @param {Array} cues - Cues sorted by start time
+ * @param {number} time - Time in milliseconds, on the same timeline as the cues
+ * @returns {object|null} The cue, or null between cues
+ */
+export const getCueAt = (cues, time) => {
+  return cues.find(cue => time >= cue.start && time < cue.end) || null;
+};
+
+/**
+ * Let the user pick an SRT or WebVTT file and parse it
+ * @returns {Promise<object|null>} Subtitles ({ name, format, cues }), or null if the picker was cancelled
+ */
+export const pickSubtitleFile = async () => {
+  // Subtitle MIME types are reported inconsistently, so any file is accepted and parsed
+  const result = await DocumentPicker.getDocumentAsync({
+    type: '*/*',
+    copyToCacheDirectory: true,
+  });
+
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  const [asset] = result.assets;
+  const contents = await FileSystem.readAsStringAsync(asset.uri);
+  const cues = parseSubtitles(contents);
+  if (cues.length === 0) {
+    throw new Error('No subtitles were found in the file');
+  }
+
+  return {
+    name: asset.name || 'Subtitles',
+    format: detectSubtitleFormat(contents, asset.name),
+    cues,
+  };
+};
+
+/**
+ * Get the URI of the subtitle file written next to an exported clip
+ * @param {string} outputUri - Exported clip URI
+ * @param {string} formatId - Subtitle format id
+ * @returns {string} Subtitle file URI with the clip's name
+ */
+export const getSubtitleUri = (outputUri, formatId) => {
+  const format = SUBTITLE_FORMATS[formatId] || SUBTITLE_FORMATS.SRT;
+  const extensionIndex = outputUri.lastIndexOf('.');
+  const base = extensionIndex > outputUri.lastIndexOf('/') ? outputUri.slice(0, extensionIndex) : outputUri;
+  return `${base}${format.extension}`;
+};
+
+/**
+ * Write the subtitles for an exported clip next to it, retimed to the output
+ * @param {string} outputUri - Exported clip URI
+ * @param {object} subtitles - Imported subtitles ({ format, cues })
+ * @param {Array} segments - Segments in output order
+ * @returns {Promise<string>} URI of the subtitle file
+ */
+export const writeSubtitleFile = async (outputUri, subtitles, segments) => {
+  const subtitleUri = getSubtitleUri(outputUri, subtitles.format);
+  const contents = formatSubtitles(mapCuesToOutput(subtitles.cues, segments), subtitles.format);
+  await FileSystem.writeAsStringAsync(subtitleUri, contents);
+  return subtitleUri;
+};
+
+export default {
+  SUBTITLE_FORMATS,
+  parseTimestamp,
+  formatTimestamp,
+  parseSubtitles,
+  detectSubtitleFormat,
+  formatSubtitles,
+  getCueDisplayText,
+  mapCuesToOutput,
+  getCueAt,
+  pickSubtitleFile,
+  getSubtitleUri,
+  writeSubtitleFile,
+};
@@ -0,0 +1,300 @@
+// Timed text overlays drawn over the edited clip
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import { clamp } from './videoUtils';
+import { toFilePath, toFFmpegTime } from './ffmpegUtils';
+
+/**
+ * Fonts offered for overlays
+ * fontFamily is used in the preview; ffmpegFont is the matching system font FFmpeg looks up.
+ */
+export const TEXT_FONTS = {
+  SANS: {
+    id: 'SANS',
+    name: 'Sans',
+    fontFamily: Platform.select({ ios: 'Helvetica', default: 'sans-serif' }),
+    ffmpegFont: Platform.select({ ios: 'Helvetica', default: 'Roboto' }),
+  },
+  SERIF: {
+    id: 'SERIF',
+    name: 'Serif',
+    fontFamily: Platform.select({ ios: 'Georgia', default: 'serif' }),
+    ffmpegFont: Platform.select({ ios: 'Georgia', default: 'Noto Serif' }),
+  },
+  MONO: {
+    id: 'MONO',
+    name: 'Mono',
+    fontFamily: Platform.select({ ios: 'Courier', default: 'monospace' }),
+    ffmpegFont: Platform.select({ ios: 'Courier', default: 'Droid Sans Mono' }),
+  },
+};
+
+/**
+ * Text sizes as a fraction of the frame height, so the preview and the export match
+ */
+export const TEXT_SIZES = {
+  SMALL: { id: 'SMALL', name: 'S', scale: 0.04 },
+  MEDIUM: { id: 'MEDIUM', name: 'M', scale: 0.06 },
+  LARGE: { id: 'LARGE', name: 'L', scale: 0.09 },
+  EXTRA_LARGE: { id: 'EXTRA_LARGE', name: 'XL', scale: 0.13 },
+};
+
+export const TEXT_COLORS = ['#ffffff', '#000000', '#ffd60a', '#ff3b30', '#34c759', '#0a84ff'];
+
+/**
+ * Boxes drawn behind the text
+ */
+export const TEXT_BACKGROUNDS = {
+  NONE: { id: 'NONE', name: 'None', color: null, opacity: 0 },
+  DARK: { id: 'DARK', name: 'Dark', color: '#000000', opacity: 0.6 },
+  LIGHT: { id: 'LIGHT', name: 'Light', color: '#ffffff', opacity: 0.7 },
+};
+
+/**
+ * Places in the frame an overlay can be anchored to
+ */
+export const TEXT_POSITIONS = {
+  TOP_LEFT: { id: 'TOP_LEFT', vertical: 'top', horizontal: 'left' },
+  TOP: { id: 'TOP', vertical: 'top', horizontal: 'center' },
+  TOP_RIGHT: { id: 'TOP_RIGHT', vertical: 'top', horizontal: 'right' },
+  LEFT: { id: 'LEFT', vertical: 'middle', horizontal: 'left' },
+  CENTER: { id: 'CENTER', vertical: 'middle', horizontal: 'center' },
+  RIGHT: { id: 'RIGHT', vertical: 'middle', horizontal: 'right' },
+  BOTTOM_LEFT: { id: 'BOTTOM_LEFT', vertical: 'bottom', horizontal: 'left' },
+  BOTTOM: { id: 'BOTTOM', vertical: 'bottom', horizontal: 'center' },
+  BOTTOM_RIGHT: { id: 'BOTTOM_RIGHT', vertical: 'bottom', horizontal: 'right' },
+};
+
+/**
+ * Distance kept from the frame edges, as a fraction of the frame size
+ */
+export const TEXT_MARGIN = 0.05;
+
+/**
+ * How long a new overlay stays on screen, in milliseconds
+ */
+export const DEFAULT_TEXT_DURATION = 3000;
+
+/**
+ * Shortest time an overlay can be shown for, in milliseconds
+ */
+export const MIN_TEXT_DURATION = 100;
+
+/**
+ * Directory overlay text is written to for FFmpeg during an export
+ */
+export const TEXT_FILE_DIRECTORY = `${FileSystem.cacheDirectory}overlays/`;
+
+// Box padding around the text, relative to the font size
+const BOX_PADDING = 0.25;
+
+const createTextId = () => {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Create an overlay shown from a point of the output
+ * @param {number} outputTime - Where the overlay appears, in output milliseconds
+ * @param {number} duration - Output duration in milliseconds
+ * @returns {object} New overlay
+ */
+export const createTextOverlay = (outputTime, duration) => {
+  const startTime = clamp(Math.round(outputTime), 0, Math.max(0, duration - MIN_TEXT_DURATION));
+  return {
+    id: createTextId(),
+    text: 'Your text',
+    font: TEXT_FONTS.SANS.id,
+    size: TEXT_SIZES.MEDIUM.id,
+    color: TEXT_COLORS[0],
+    background: TEXT_BACKGROUNDS.DARK.id,
+    position: TEXT_POSITIONS.BOTTOM.id,
+    startTime,
+    endTime: Math.min(duration, startTime + DEFAULT_TEXT_DURATION),
+  };
+};
+
+/**
+ * Drop overlays saved with unknown options or no text, filling in defaults
+ * @param {Array|null} texts - Saved overlays
+ * @returns {Array} Valid overlays
+ */
+export const resolveTextOverlays = (texts) => {
+  if (!Array.isArray(texts)) return [];
+
+  return texts
+    .filter(overlay => overlay && overlay.id && typeof overlay.text === 'string')
+    .map(overlay => ({
+      ...overlay,
+      font: TEXT_FONTS[overlay.font] ? overlay.font : TEXT_FONTS.SANS.id,
+      size: TEXT_SIZES[overlay.size] ? overlay.size : TEXT_SIZES.MEDIUM.id,
+      background: TEXT_BACKGROUNDS[overlay.background] ? overlay.background : TEXT_BACKGROUNDS.NONE.id,
+      position: TEXT_POSITIONS[overlay.position] ? overlay.position : TEXT_POSITIONS.BOTTOM.id,
+    }));
+};
+
+/**
+ * Get the overlays that are drawn in the output
+ * Overlays without text, or that start after the output ends, are skipped.
+ * @param {Array} texts - Overlays
+ * @param {number} duration - Output duration in milliseconds
+ * @returns {Array} Overlays with their end clamped to the output
+ */
+export const getRenderedTexts = (texts, duration) => {
+  return texts
+    .filter(overlay => overlay.text.trim() && overlay.startTime < duration)
+    .map(overlay => ({ ...overlay, endTime: Math.min(overlay.endTime, duration) }));
+};
+
+/**
+ * Check whether an overlay is on screen at a point of the output
+ * @param {object} overlay - Overlay
+ * @param {number} outputTime - Position in the output in milliseconds
+ * @returns {boolean} True while the overlay is shown
+ */
+export const isTextVisible = (overlay, outputTime) => {
+  return outputTime >= overlay.startTime && outputTime < overlay.endTime;
+};
+
+/**
+ * Convert a hex color and opacity to a color React Native understands
+ * @param {string} color - Hex color (#rrggbb)
+ * @param {number} opacity - Opacity between 0 and 1
+ * @returns {string} rgba() color
+ */
+const toRgba = (color, opacity) => {
+  const value = parseInt(color.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${opacity})`;
+};
+
+/**
+ * Get the preview styles for an overlay drawn in a frame
+ * @param {object} overlay - Overlay
+ * @param {object} frame - Displayed frame size ({ width, height })
+ * @returns {object} Styles for the positioning container and the text
+ */
+export const getTextPreviewStyles = (overlay, frame) => {
+  const position = TEXT_POSITIONS[overlay.position];
+  const background = TEXT_BACKGROUNDS[overlay.background];
+  const fontSize = TEXT_SIZES[overlay.size].scale * frame.height;
+  const alignments = { top: 'flex-start', left: 'flex-start', middle: 'center', center: 'center', bottom: 'flex-end', right: 'flex-end' };
+
+  return {
+    container: {
+      justifyContent: alignments[position.vertical],
+      alignItems: alignments[position.horizontal],
+      paddingHorizontal: frame.width * TEXT_MARGIN,
+      paddingVertical: frame.height * TEXT_MARGIN,
+    },
+    text: {
+      fontFamily: TEXT_FONTS[overlay.font].fontFamily,
+      fontSize,
+      color: overlay.color,
+      textAlign: position.horizontal,
+      padding: background.color ? fontSize * BOX_PADDING : 0,
+      backgroundColor: background.color ? toRgba(background.color, background.opacity) : 'transparent',
+    },
+  };
+};
+
+/**
+ * Write each overlay's text to a file, so FFmpeg reads it without any escaping
+ * @param {Array} texts - Overlays to draw
+ * @returns {Promise<string[]>} Text file URIs, in the same order as the overlays
+ */
+export const writeTextFiles = async (texts) => {
+  if (texts.length === 0) return [];
+
+  await FileSystem.makeDirectoryAsync(TEXT_FILE_DIRECTORY, { intermediates: true });
+  const stamp = Date.now();
+  return Promise.all(texts.map(async (overlay, index) => {
+    const fileUri = `${TEXT_FILE_DIRECTORY}text_${stamp}_${index}.txt`;
+    await FileSystem.writeAsStringAsync(fileUri, overlay.text);
+    return fileUri;
+  }));
+};
+
+/**
+ * Delete text files written for an export
+ * @param {string[]} fileUris - Text file URIs
+ * @returns {Promise<void>}
+ */
+export const deleteTextFiles = async (fileUris) => {
+  await Promise.all(fileUris.map(fileUri => (
+    FileSystem.deleteAsync(fileUri, { idempotent: true })
+      .catch(error => console.log('Error deleting overlay text file:', error))
+  )));
+};
+
+/**
+ * Get the drawtext position expressions for an overlay
+ * The box padding is added to the margin, the same way the preview pads the text inside its margin.
+ * @param {object} position - Text position
+ * @param {number} padding - Box padding in pixels
+ * @returns {object} x and y expressions
+ */
+const getPositionExpressions = (position, padding) => {
+  const x = {
+    left: `w*${TEXT_MARGIN}+${padding}`,
+    center: '(w-text_w)/2',
+    right: `w-text_w-w*${TEXT_MARGIN}-${padding}`,
+  };
+  const y = {
+    top: `h*${TEXT_MARGIN}+${padding}`,
+    middle: '(h-text_h)/2',
+    bottom: `h-text_h-h*${TEXT_MARGIN}-${padding}`,
+  };
+  return { x: x[position.horizontal], y: y[position.vertical] };
+};
+
+/**
+ * Build the FFmpeg filters that draw the overlays
+ * @param {Array} texts - Overlays to draw, from getRenderedTexts
+ * @param {string[]} textFiles - Text file URIs from writeTextFiles
+ * @param {number} frameHeight - Height of the frame the text is drawn on, in pixels
+ * @returns {string[]} FFmpeg drawtext filters
+ */
+export const buildTextFilters = (texts, textFiles, frameHeight) => {
+  return texts.map((overlay, index) => {
+    const background = TEXT_BACKGROUNDS[overlay.background];
+    const fontSize = Math.max(8, Math.round(TEXT_SIZES[overlay.size].scale * frameHeight));
+    const padding = background.color ? Math.round(fontSize * BOX_PADDING) : 0;
+    const { x, y } = getPositionExpressions(TEXT_POSITIONS[overlay.position], padding);
+
+    const options = [
+      `textfile='${toFilePath(textFiles[index])}'`,
+      'expansion=none',
+      `font='${TEXT_FONTS[overlay.font].ffmpegFont}'`,
+      `fontsize=${fontSize}`,
+      `fontcolor=${overlay.color.replace('#', '0x')}`,
+      `x=${x}`,
+      `y=${y}`,
+    ];
+    if (background.color) {
+      options.push('box=1', `boxcolor=${background.color.replace('#', '0x')}@${background.opacity}`, `boxborderw=${padding}`);
+    }
+    // Shown from its start up to, but not on, its end, the same window as the preview
+    options.push(`enable='gte(t,${toFFmpegTime(overlay.startTime)})*lt(t,${toFFmpegTime(overlay.endTime)})'`);
+
+    return `drawtext=${options.join(':')}`;
+  });
+};
+
+export default {
+  TEXT_FONTS,
+  TEXT_SIZES,
+  TEXT_COLORS,
+  TEXT_BACKGROUNDS,
+  TEXT_POSITIONS,
+  TEXT_MARGIN,
+  DEFAULT_TEXT_DURATION,
+  MIN_TEXT_DURATION,
+  TEXT_FILE_DIRECTORY,
+  createTextOverlay,
+  resolveTextOverlays,
+  getRenderedTexts,
+  isTextVisible,
+  getTextPreviewStyles,
+  writeTextFiles,
+  deleteTextFiles,
+  buildTextFilters,
+};
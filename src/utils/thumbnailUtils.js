@@ -0,0 +1,126 @@
+// Frame thumbnail helpers for the trim timeline filmstrip
+import * as FileSystem from 'expo-file-system';
+import * as VideoThumbnails from 'expo-video-thumbnails';
+
+/**
+ * Directory thumbnails are cached in, one subdirectory per video
+ */
+export const THUMBNAIL_CACHE_DIRECTORY = `${FileSystem.cacheDirectory}thumbnails/`;
+
+/**
+ * Thumbnail times are snapped to this step so zoom levels share cached frames
+ */
+export const THUMBNAIL_TIME_STEP = 100;
+
+/**
+ * Create a short stable key for a video URI
+ * @param {string} videoUri - Video URI
+ * @returns {string} Key safe to use as a directory name
+ */
+export const getVideoCacheKey = (videoUri) => {
+  let hash = 5381;
+  for (let i = 0; i < videoUri.length; i++) {
+    hash = ((hash << 5) + hash + videoUri.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Get evenly spaced thumbnail times across a range
+ * @param {number} startTime - Range start in milliseconds
+ * @param {number} endTime - Range end in milliseconds
+ * @param {number} count - Number of thumbnails
+ * @returns {number[]} Snapped times at the center of each tile
+ */
+export const getThumbnailTimes = (startTime, endTime, count) => {
+  const tileDuration = (endTime - startTime) / count;
+  const times = [];
+
+  for (let i = 0; i < count; i++) {
+    const center = startTime + tileDuration * (i + 0.5);
+    times.push(Math.round(center / THUMBNAIL_TIME_STEP) * THUMBNAIL_TIME_STEP);
+  }
+
+  return times;
+};
+
+/**
+ * Get a cached thumbnail for a frame, generating it on first use
+ * @param {string} videoUri - Video URI
+ * @param {number} time - Frame time in milliseconds
+ * @returns {Promise<string>} URI of the thumbnail image
+ */
+export const getThumbnail = async (videoUri, time) => {
+  const directory = `${THUMBNAIL_CACHE_DIRECTORY}${getVideoCacheKey(videoUri)}/`;
+  const fileUri = `${directory}${time}.jpg`;
+
+  const cached = await FileSystem.getInfoAsync(fileUri);
+  if (cached.exists) {
+    return fileUri;
+  }
+
+  const { uri } = await VideoThumbnails.getThumbnailAsync(videoUri, { time, quality: 0.4 });
+
+  await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+  await FileSystem.moveAsync({ from: uri, to: fileUri });
+  return fileUri;
+};
+
+/**
+ * Get filmstrip thumbnails for a range of the video
+ *
+ * Frames are produced one at a time so the strip can fill in progressively.
+ *
+ * @param {string} videoUri - Video URI
+ * @param {object} options - Filmstrip options
+ * @param {number} options.startTime - Range start in milliseconds
+ * @param {number} options.endTime - Range end in milliseconds
+ * @param {number} options.count - Number of thumbnails
+ * @param {function} options.onThumbnail - Called with (index, uri) as each frame is ready
+ * @param {function} options.isCancelled - Returns true to stop generating
+ * @returns {Promise<string[]>} Thumbnail URIs (null where generation failed)
+ */
+export const getFilmstripThumbnails = async (
+  videoUri,
+  { startTime, endTime, count, onThumbnail, isCancelled = () => false }
+) => {
+  const times = getThumbnailTimes(startTime, endTime, count);
+  const thumbnails = [];
+
+  for (let i = 0; i < times.length; i++) {
+    if (isCancelled()) break;
+
+    try {
+      thumbnails[i] = await getThumbnail(videoUri, times[i]);
+    } catch (error) {
+      console.log('Error generating thumbnail:', error);
+      thumbnails[i] = null;
+    }
+
+    if (onThumbnail && !isCancelled()) {
+      onThumbnail(i, thumbnails[i]);
+    }
+  }
+
+  return thumbnails;
+};
+
+/**
+ * Delete cached thumbnails for a video
+ * @param {string} videoUri - Video URI
+ * @returns {Promise<void>}
+ */
+export const clearThumbnailCache = async (videoUri) => {
+  const directory = `${THUMBNAIL_CACHE_DIRECTORY}${getVideoCacheKey(videoUri)}/`;
+  await FileSystem.deleteAsync(directory, { idempotent: true });
+};
+
+export default {
+  THUMBNAIL_CACHE_DIRECTORY,
+  THUMBNAIL_TIME_STEP,
+  getVideoCacheKey,
+  getThumbnailTimes,
+  getThumbnail,
+  getFilmstripThumbnails,
+  clearThumbnailCache,
+};
@@ -0,0 +1,123 @@
+// Rotation and flips applied to the whole clip
+import { normalizeRotation } from './videoMetadata';
+
+export const DEFAULT_TRANSFORM = {
+  rotation: 0,
+  flipH: false,
+  flipV: false,
+};
+
+/**
+ * Check whether a transform changes the picture
+ * @param {object} transform - Transform
+ * @returns {boolean} True if the clip is rotated or flipped
+ */
+export const hasTransform = (transform) => {
+  return !!transform && (transform.rotation !== 0 || transform.flipH || transform.flipV);
+};
+
+/**
+ * Check whether a rotation swaps the width and height of the picture
+ * @param {number} rotation - Rotation in degrees
+ * @returns {boolean} True for 90 and 270 degrees
+ */
+export const isQuarterTurn = (rotation) => rotation === 90 || rotation === 270;
+
+/**
+ * Rotate a transform clockwise
+ * @param {object} transform - Transform
+ * @param {number} degrees - Degrees to add, a multiple of 90 (negative rotates counter-clockwise)
+ * @returns {object} Rotated transform
+ */
+export const rotateTransform = (transform, degrees) => {
+  return { ...transform, rotation: normalizeRotation(transform.rotation + degrees) };
+};
+
+/**
+ * Get the aspect ratio of the picture after the transform
+ * @param {number} aspectRatio - Displayed aspect ratio of the source (width / height)
+ * @param {object} transform - Transform
+ * @returns {number} Transformed aspect ratio
+ */
+export const getTransformedAspect = (aspectRatio, transform) => {
+  return transform && isQuarterTurn(transform.rotation) ? 1 / aspectRatio : aspectRatio;
+};
+
+/**
+ * Describe the transformed clip as if it were the source, so later edits and export sizes see the turned frame
+ * @param {object|null} metadata - Source video metadata
+ * @param {object|null} transform - Transform
+ * @returns {object|null} Metadata with the transformed frame size
+ */
+export const getTransformedMetadata = (metadata, transform) => {
+  if (!metadata || !transform || !isQuarterTurn(transform.rotation)) return metadata;
+
+  return {
+    ...metadata,
+    displayWidth: metadata.displayHeight,
+    displayHeight: metadata.displayWidth,
+    aspectRatio: 1 / metadata.aspectRatio,
+  };
+};
+
+/**
+ * Position a video view so the transformed picture fills a rectangle
+ * The view keeps the source's shape and is turned around its center, so quarter turns swap its size.
+ * @param {object} rect - Rectangle the transformed picture should fill ({ left, top, width, height })
+ * @param {object} transform - Transform
+ * @returns {object} Style for the video view
+ */
+export const getTransformedVideoStyle = (rect, transform) => {
+  const swap = isQuarterTurn(transform.rotation);
+  const width = swap ? rect.height : rect.width;
+  const height = swap ? rect.width : rect.height;
+
+  return {
+    left: rect.left + (rect.width - width) / 2,
+    top: rect.top + (rect.height - height) / 2,
+    width,
+    height,
+    // Flips come first in the list so they act on the picture as seen after rotating
+    transform: [
+      { scaleX: transform.flipH ? -1 : 1 },
+      { scaleY: transform.flipV ? -1 : 1 },
+      { rotate: `${transform.rotation}deg` },
+    ],
+  };
+};
+
+/**
+ * Build the FFmpeg filters that apply a transform
+ * @param {object} transform - Transform
+ * @returns {string[]} FFmpeg video filters
+ */
+export const buildTransformFilters = (transform) => {
+  const filters = [];
+
+  if (transform.rotation === 90) {
+    filters.push('transpose=clock');
+  } else if (transform.rotation === 180) {
+    filters.push('hflip', 'vflip');
+  } else if (transform.rotation === 270) {
+    filters.push('transpose=cclock');
+  }
+  if (transform.flipH) {
+    filters.push('hflip');
+  }
+  if (transform.flipV) {
+    filters.push('vflip');
+  }
+
+  return filters;
+};
+
+export default {
+  DEFAULT_TRANSFORM,
+  hasTransform,
+  isQuarterTurn,
+  rotateTransform,
+  getTransformedAspect,
+  getTransformedMetadata,
+  getTransformedVideoStyle,
+  buildTransformFilters,
+};
@@ -0,0 +1,80 @@
+// Trim presets: the initial selection and the maximum output length
+import { formatTime, getSuggestedTrimPoints } from './videoUtils';
+import { getSegmentsDuration, getSegmentSpeed } from './segmentUtils';
+
+/**
+ * Available trim presets
+ * maxDuration is the longest allowed output; null means no limit.
+ * The "first" preset's length is chosen by the user.
+ */
+export const TRIM_PRESETS = {
+  FULL_LENGTH: { id: 'full', name: 'Full Length', maxDuration: null },
+  FIRST_SECONDS: { id: 'first', name: 'First', maxDuration: 30000 },
+  STORY_15S: { id: 'story15', name: '15s Story', maxDuration: 15000 },
+  STORY_60S: { id: 'story60', name: '60s', maxDuration: 60000 },
+  STORY_90S: { id: 'story90', name: '90s', maxDuration: 90000 },
+};
+
+export const DEFAULT_TRIM_PRESET = TRIM_PRESETS.FULL_LENGTH;
+
+/**
+ * Look up a preset by id, keeping a saved custom length for the "first" preset
+ * @param {object|null} saved - Saved preset ({ id, maxDuration })
+ * @returns {object} Trim preset
+ */
+export const resolveTrimPreset = (saved) => {
+  const preset = Object.values(TRIM_PRESETS).find(item => item.id === saved?.id);
+  if (!preset) return DEFAULT_TRIM_PRESET;
+
+  if (preset.id === TRIM_PRESETS.FIRST_SECONDS.id && saved.maxDuration > 0) {
+    return { ...preset, maxDuration: saved.maxDuration };
+  }
+  return preset;
+};
+
+/**
+ * Get the button label for a preset
+ * @param {object} preset - Trim preset
+ * @returns {string} Label
+ */
+export const getTrimPresetLabel = (preset) => {
+  if (preset.id === TRIM_PRESETS.FIRST_SECONDS.id) {
+    return `${preset.name} ${formatTime(preset.maxDuration)}`;
+  }
+  return preset.name;
+};
+
+/**
+ * Get the initial selection for a preset
+ * @param {object} preset - Trim preset
+ * @param {number} videoDuration - Total video duration in milliseconds
+ * @returns {object} Object with start and end times
+ */
+export const getPresetTrimPoints = (preset, videoDuration) => {
+  return getSuggestedTrimPoints(videoDuration, preset.maxDuration);
+};
+
+/**
+ * Get the longest a segment may be without the output exceeding the preset limit
+ * The limit applies to the output, so faster segments may cover more of the source.
+ * @param {Array} segments - List of segments
+ * @param {string} segmentId - Segment being edited
+ * @param {number|null} maxDuration - Preset limit in milliseconds, or null for none
+ * @returns {number} Maximum source duration of the segment (Infinity when unlimited)
+ */
+export const getSegmentMaxDuration = (segments, segmentId, maxDuration) => {
+  if (!maxDuration) return Infinity;
+
+  const segment = segments.find(item => item.id === segmentId);
+  const others = segments.filter(item => item.id !== segmentId);
+  return Math.max(0, maxDuration - getSegmentsDuration(others)) * getSegmentSpeed(segment);
+};
+
+export default {
+  TRIM_PRESETS,
+  DEFAULT_TRIM_PRESET,
+  resolveTrimPreset,
+  getTrimPresetLabel,
+  getPresetTrimPoints,
+  getSegmentMaxDuration,
+};
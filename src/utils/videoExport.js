@@ -0,0 +1,551 @@
+// Video export helpers for the video trimmer app
+import * as FileSystem from 'expo-file-system';
+import { clamp } from './videoUtils';
+import {
+  getSegmentsDuration,
+  getSegmentSpeed,
+  validateSegments,
+} from './segmentUtils';
+import {
+  toFilePath,
+  toFFmpegTime,
+  createOutputUri,
+  runFFmpeg,
+  registerSystemFonts,
+  hasAudioStream,
+} from './ffmpegUtils';
+import {
+  DEFAULT_EXPORT_SETTINGS,
+  getExportEncoding,
+  isAnimationExport,
+  getAnimationEncoding,
+} from './exportSettings';
+import { resolveClipEdits, getEditedMetadata } from './clipEdits';
+import { buildAudioFilters, buildFadeFilters } from './audioUtils';
+import { buildMusicFilters, getMusicMixLevels } from './musicUtils';
+import { buildCropFilter } from './cropUtils';
+import { buildTransformFilters, getTransformedMetadata } from './transformUtils';
+import { buildColorFilters } from './colorGrade';
+import { buildWatermarkFilters } from './watermark';
+import {
+  getRenderedTexts,
+  writeTextFiles,
+  deleteTextFiles,
+  buildTextFilters,
+} from './textOverlays';
+import { writeSubtitleFile } from './subtitleUtils';
+
+/**
+ * Error thrown when an export is cancelled before it finishes
+ */
+export class ExportCancelledError extends Error {
+  constructor() {
+    super('Export was cancelled');
+    this.name = 'ExportCancelledError';
+  }
+}
+
+/**
+ * Get the size of the frame overlays are drawn on
+ * @param {object|null} outputSize - Scaled output size, or null to keep the edited frame size
+ * @param {object} clipEdits - Resolved clip edits
+ * @param {object|null} metadata - Source video metadata
+ * @returns {object} Frame size in pixels ({ width, height })
+ */
+const getOverlayFrameSize = (outputSize, clipEdits, metadata) => {
+  if (outputSize) return outputSize;
+  const edited = getEditedMetadata(metadata, clipEdits);
+  return {
+    width: edited?.displayWidth || edited?.width || 1920,
+    height: edited?.displayHeight || edited?.height || 1080,
+  };
+};
+
+/**
+ * Build the filter graph lines that run the joined video through its filters
+ * The watermark, when there is one, is laid over the finished frame last.
+ * @param {string[]} videoFilters - Filters for the joined video
+ * @param {object|null} watermark - Watermark settings
+ * @param {number} watermarkInput - Index of the watermark image input
+ * @param {object} frameSize - Size of the filtered frame ({ width, height })
+ * @param {string} outputLabel - Label of the finished stream
+ * @returns {string[]} Filter graph lines
+ */
+const buildVideoGraph = (videoFilters, watermark, watermarkInput, frameSize, outputLabel) => {
+  const filtered = videoFilters.join(',') || 'null';
+  if (!watermark) {
+    return [`[joinedv]${filtered}${outputLabel}`];
+  }
+  return [
+    `[joinedv]${filtered}[basev]`,
+    ...buildWatermarkFilters(watermark, watermarkInput, frameSize, '[basev]', outputLabel),
+  ];
+};
+
+/**
+ * Get the filters applied to the joined video before encoding
+ * Rotation and flips come first, then the crop on the turned frame, then scaling and the grade.
+ * Overlays are drawn by the caller after these, on the final frame, so they keep their colors.
+ * @param {object} encoding - Encoder options from getExportEncoding
+ * @param {object} clipEdits - Resolved clip edits
+ * @param {object|null} metadata - Source video metadata
+ * @returns {string[]} FFmpeg video filters
+ */
+const getVideoFilters = (encoding, clipEdits, metadata) => {
+  const filters = buildTransformFilters(clipEdits.transform);
+  const cropFilter = clipEdits.crop &&
+    buildCropFilter(clipEdits.crop, getTransformedMetadata(metadata, clipEdits.transform));
+  if (cropFilter) {
+    filters.push(cropFilter);
+  }
+  if (encoding.outputSize) {
+    filters.push(`scale=${encoding.outputSize.width}:${encoding.outputSize.height}`);
+  }
+  filters.push(...buildColorFilters(clipEdits.color));
+  return filters;
+};
+
+/**
+ * Get the audio filters that change the tempo of a segment without changing its pitch
+ * atempo only slows down to half speed, so slower speeds are chained.
+ * @param {number} speed - Segment speed
+ * @returns {string[]} FFmpeg audio filters
+ */
+const getTempoFilters = (speed) => {
+  const filters = [];
+  let remaining = speed;
+  while (remaining < 0.5) {
+    filters.push('atempo=0.5');
+    remaining /= 0.5;
+  }
+  if (remaining !== 1) {
+    filters.push(`atempo=${remaining}`);
+  }
+  return filters;
+};
+
+/**
+ * Build the filter graph lines that produce the output audio as [outa]
+ * @param {object} clipEdits - Resolved clip edits
+ * @param {boolean} includeAudio - Whether [joineda] carries the clip audio
+ * @param {number} duration - Output duration in milliseconds
+ * @param {number} musicInput - Index of the background music input
+ * @returns {string[]} Filter graph lines, empty when the output has no audio
+ */
+const getAudioGraph = (clipEdits, includeAudio, duration, musicInput) => {
+  const { audio, music } = clipEdits;
+
+  if (!music) {
+    return includeAudio
+      ? [`[joineda]${buildAudioFilters(audio, duration).join(',') || 'anull'}[outa]`]
+      : [];
+  }
+
+  // Fades apply to the mix so both tracks fade together
+  const fades = buildFadeFilters(audio, duration);
+  const musicFilters = buildMusicFilters(music, duration);
+
+  if (!includeAudio) {
+    return [`[${musicInput}:a]${[...musicFilters, ...fades].join(',')}[outa]`];
+  }
+
+  const clipLevel = audio.gain * getMusicMixLevels(music.mix).original;
+  return [
+    `[joineda]volume=${clipLevel.toFixed(2)}[clipa]`,
+    `[${musicInput}:a]${musicFilters.join(',')}[musica]`,
+    `[clipa][musica]amix=inputs=2:duration=first:dropout_transition=0:normalize=0${fades.map(fade => `,${fade}`).join('')}[outa]`,
+  ];
+};
+
+/**
+ * Build the input arguments that open the source once per segment, seeked to its range
+ * Each segment is decoded on its own from its start, so nothing before it is decoded and
+ * reordered segments never queue up frames while concat waits on an earlier one.
+ * Segment i becomes input i.
+ * @param {string} inputPath - Source file path
+ * @param {Array} segments - Segments in output order
+ * @returns {string[]} FFmpeg input arguments
+ */
+const buildSegmentInputs = (inputPath, segments) => {
+  return segments.flatMap(segment => [
+    '-ss', toFFmpegTime(segment.startTime),
+    '-t', toFFmpegTime(segment.endTime - segment.startTime),
+    '-i', inputPath,
+  ]);
+};
+
+/**
+ * Build the filter graph lines that join the segment inputs as [joinedv] and [joineda]
+ * @param {Array} segments - Segments in output order, opened by buildSegmentInputs
+ * @param {boolean} includeAudio - Whether to join the clip audio too
+ * @returns {string[]} Filter graph lines
+ */
+const buildJoinFilters = (segments, includeAudio) => {
+  const filters = [];
+  const concatInputs = [];
+
+  segments.forEach((segment, index) => {
+    const speed = getSegmentSpeed(segment);
+    const setpts = speed === 1 ? 'PTS-STARTPTS' : `(PTS-STARTPTS)/${speed}`;
+
+    filters.push(`[${index}:v]setpts=${setpts}[v${index}]`);
+    concatInputs.push(`[v${index}]`);
+
+    if (includeAudio) {
+      const audioFilters = ['asetpts=PTS-STARTPTS', ...getTempoFilters(speed)];
+      filters.push(`[${index}:a]${audioFilters.join(',')}[a${index}]`);
+      concatInputs.push(`[a${index}]`);
+    }
+  });
+
+  const audioCount = includeAudio ? 1 : 0;
+  const outputs = includeAudio ? '[joinedv][joineda]' : '[joinedv]';
+  filters.push(`${concatInputs.join('')}concat=n=${segments.length}:v=1:a=${audioCount}${outputs}`);
+
+  return filters;
+};
+
+/**
+ * Build FFmpeg arguments that cut each segment and join them in order
+ * @param {string} inputPath - Source file path
+ * @param {Array} segments - Segments in output order
+ * @param {object} options - Build options
+ * @param {boolean} options.hasAudio - Whether the source has an audio stream
+ * @param {string} options.outputPath - Output file path
+ * @param {object} options.encoding - Encoder options from getExportEncoding
+ * @param {object} options.edits - Clip edits applied to the joined clip
+ * @param {object} options.metadata - Source video metadata, needed to place the crop
+ * @param {string[]} options.textFiles - Text files for the drawn overlays, from writeTextFiles
+ * @param {object|null} options.watermark - Watermark laid over every frame
+ * @returns {string[]} FFmpeg command arguments
+ */
+export const buildSegmentArguments = (inputPath, segments, {
+  hasAudio,
+  outputPath,
+  encoding = {},
+  edits = null,
+  metadata = null,
+  textFiles = [],
+  watermark = null,
+}) => {
+  const clipEdits = resolveClipEdits(edits);
+  const duration = getSegmentsDuration(segments);
+  // Muted clips drop their own audio; background music is still mixed in
+  const includeAudio = hasAudio && !clipEdits.audio.muted;
+  const filters = buildJoinFilters(segments, includeAudio);
+
+  // Edits act on the joined clip; null/anull pass streams through unchanged
+  const frameSize = getOverlayFrameSize(encoding.outputSize, clipEdits, metadata);
+  const videoFilters = [
+    ...getVideoFilters(encoding, clipEdits, metadata),
+    ...buildTextFilters(getRenderedTexts(clipEdits.texts, duration), textFiles, frameSize.height),
+  ];
+  // The music and then the watermark image follow the segment inputs
+  const musicInput = segments.length;
+  const watermarkInput = clipEdits.music ? musicInput + 1 : musicInput;
+  filters.push(...buildVideoGraph(videoFilters, watermark, watermarkInput, frameSize, '[outv]'));
+
+  const audioGraph = getAudioGraph(clipEdits, includeAudio, duration, musicInput);
+  filters.push(...audioGraph);
+
+  const args = ['-y', ...buildSegmentInputs(inputPath, segments)];
+  if (clipEdits.music) {
+    args.push('-i', toFilePath(clipEdits.music.uri));
+  }
+  if (watermark) {
+    args.push('-i', toFilePath(watermark.imageUri));
+  }
+  args.push('-filter_complex', filters.join(';'), '-map', '[outv]');
+
+  if (audioGraph.length > 0) {
+    args.push('-map', '[outa]', '-c:a', encoding.audioCodec || 'aac');
+    if (encoding.audioBitrate) {
+      args.push('-b:a', `${encoding.audioBitrate}k`);
+    }
+  }
+
+  const videoCodec = encoding.videoCodec || 'libx264';
+  args.push('-c:v', videoCodec);
+  if (videoCodec === 'libx264') {
+    args.push('-preset', 'veryfast');
+  }
+  if (encoding.videoBitrate) {
+    args.push('-b:v', `${encoding.videoBitrate}k`);
+  }
+
+  args.push('-pix_fmt', 'yuv420p');
+  if (outputPath.endsWith('.mp4') || outputPath.endsWith('.mov')) {
+    args.push('-movflags', '+faststart');
+  }
+  args.push(outputPath);
+
+  return args;
+};
+
+/**
+ * Write the text files for a clip's overlays and make sure FFmpeg can find their fonts
+ * @param {object|null} edits - Clip edits
+ * @param {number} duration - Output duration in milliseconds
+ * @returns {Promise<string[]>} Text file URIs, removed once the export finishes
+ */
+const prepareTextOverlays = async (edits, duration) => {
+  const texts = getRenderedTexts(resolveClipEdits(edits).texts, duration);
+  if (texts.length === 0) return [];
+
+  await registerSystemFonts();
+  return writeTextFiles(texts);
+};
+
+/**
+ * Write the clip's subtitles, retimed to the output, next to an exported video
+ * A clip whose subtitles cannot be written is removed so the export fails as a whole.
+ * @param {string} outputUri - Exported clip URI
+ * @param {object|null} edits - Clip edits
+ * @param {Array} segments - Segments in output order
+ * @returns {Promise<void>}
+ */
+const exportSubtitles = async (outputUri, edits, segments) => {
+  const { subtitles } = resolveClipEdits(edits);
+  if (!subtitles) return;
+
+  try {
+    await writeSubtitleFile(outputUri, subtitles, segments);
+  } catch (error) {
+    await FileSystem.deleteAsync(outputUri, { idempotent: true });
+    throw error;
+  }
+};
+
+/**
+ * Make sure the watermark image is still there before an export starts
+ * @param {object|null} watermark - Watermark settings
+ * @returns {Promise<void>}
+ */
+const checkWatermarkImage = async (watermark) => {
+  if (!watermark) return;
+  const info = await FileSystem.getInfoAsync(watermark.imageUri);
+  if (!info.exists) {
+    throw new Error('The watermark image is missing');
+  }
+};
+
+/**
+ * Run an FFmpeg export, reporting progress and removing the partial output if it fails
+ * @param {string[]} args - FFmpeg command arguments
+ * @param {string} outputUri - Output file URI
+ * @param {number} totalDuration - Output duration in milliseconds
+ * @param {object} options - Run options (onProgress, isCancelled, textFiles)
+ * @returns {Promise<string>} URI of the exported file
+ */
+const runExport = async (args, outputUri, totalDuration, { onProgress, isCancelled, textFiles = [] }) => {
+  const reportProgress = (value) => onProgress && onProgress(clamp(value, 0, 1));
+
+  reportProgress(0);
+  try {
+    await runFFmpeg(args, {
+      onProgress: (time) => reportProgress(time / totalDuration),
+      isCancelled,
+    });
+  } catch (error) {
+    await FileSystem.deleteAsync(outputUri, { idempotent: true });
+    throw isCancelled && isCancelled() ? new ExportCancelledError() : error;
+  } finally {
+    await deleteTextFiles(textFiles);
+  }
+  reportProgress(1);
+
+  return outputUri;
+};
+
+/**
+ * Export one or more segments of a video joined into a single file
+ * The video is always re-encoded, so cuts land on the exact frames chosen and can be cancelled.
+ * Imported subtitles are written next to it with the same name.
+ * Animation settings are handed to exportAnimation.
+ * @param {string} videoUri - Source video URI
+ * @param {object} options - Export options
+ * @param {Array} options.segments - Segments in output order
+ * @param {object} options.settings - Export settings (resolution, quality, format)
+ * @param {object} options.metadata - Source video metadata
+ * @param {object} options.edits - Clip edits (audio, music, crop, transform, ...)
+ * @param {object|null} options.watermark - Watermark laid over every frame, from getActiveWatermark
+ * @param {function} options.onProgress - Called with progress between 0 and 1
+ * @param {function} options.isCancelled - Returns true once the export should stop
+ * @param {function} options.onOutputUri - Called with the output URI before anything is written to it
+ * @returns {Promise<string>} URI of the exported file
+ */
+export const exportVideo = async (videoUri, {
+  segments,
+  settings = DEFAULT_EXPORT_SETTINGS,
+  metadata = null,
+  edits = null,
+  watermark = null,
+  onProgress,
+  isCancelled,
+  onOutputUri,
+} = {}) => {
+  if (!videoUri) {
+    throw new Error('No video to export');
+  }
+  if (!validateSegments(segments)) {
+    throw new Error('Invalid trim segments');
+  }
+  if (isAnimationExport(settings)) {
+    return exportAnimation(videoUri, {
+      segments,
+      settings,
+      metadata,
+      edits,
+      watermark,
+      onProgress,
+      isCancelled,
+      onOutputUri,
+    });
+  }
+
+  if (edits?.music) {
+    const musicInfo = await FileSystem.getInfoAsync(edits.music.uri);
+    if (!musicInfo.exists) {
+      throw new Error('The background music file is missing');
+    }
+  }
+  await checkWatermarkImage(watermark);
+
+  // Sizes and bitrates are worked out for the rotated and cropped frame
+  const totalDuration = getSegmentsDuration(segments);
+  const encoding = getExportEncoding(getEditedMetadata(metadata, edits), settings);
+  const outputUri = await createOutputUri(encoding.extension);
+  if (onOutputUri) {
+    await onOutputUri(outputUri);
+  }
+  const textFiles = await prepareTextOverlays(edits, totalDuration);
+  const args = buildSegmentArguments(toFilePath(videoUri), segments, {
+    hasAudio: await hasAudioStream(videoUri),
+    outputPath: toFilePath(outputUri),
+    encoding,
+    edits,
+    metadata,
+    textFiles,
+    watermark,
+  });
+
+  await runExport(args, outputUri, totalDuration, { onProgress, isCancelled, textFiles });
+  await exportSubtitles(outputUri, edits, segments);
+  return outputUri;
+};
+
+/**
+ * Build FFmpeg arguments that turn the joined segments into an animated GIF or WebP
+ * GIFs get a palette generated from the clip itself, which keeps colors far closer to the source.
+ * @param {string} inputPath - Source file path
+ * @param {Array} segments - Segments in output order
+ * @param {object} options - Build options
+ * @param {string} options.outputPath - Output file path
+ * @param {object} options.encoding - Encoder options from getAnimationEncoding
+ * @param {object} options.edits - Clip edits applied to the joined clip
+ * @param {object} options.metadata - Source video metadata, needed to place the crop
+ * @param {string[]} options.textFiles - Text files for the drawn overlays, from writeTextFiles
+ * @param {object|null} options.watermark - Watermark laid over every frame
+ * @returns {string[]} FFmpeg command arguments
+ */
+export const buildAnimationArguments = (inputPath, segments, {
+  outputPath,
+  encoding,
+  edits = null,
+  metadata = null,
+  textFiles = [],
+  watermark = null,
+}) => {
+  const clipEdits = resolveClipEdits(edits);
+  const filters = buildJoinFilters(segments, false);
+  const texts = getRenderedTexts(clipEdits.texts, getSegmentsDuration(segments));
+
+  const videoFilters = [
+    ...getVideoFilters({}, clipEdits, metadata),
+    `fps=${encoding.frameRate}`,
+    `scale=${encoding.outputSize.width}:${encoding.outputSize.height}:flags=lanczos`,
+    ...buildTextFilters(texts, textFiles, encoding.outputSize.height),
+  ];
+
+  if (encoding.format === 'GIF') {
+    filters.push(
+      ...buildVideoGraph(videoFilters, watermark, segments.length, encoding.outputSize, '[framesv]'),
+      '[framesv]split[framesa][framesb]',
+      '[framesa]palettegen=stats_mode=diff[palette]',
+      '[framesb][palette]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle[outv]'
+    );
+  } else {
+    filters.push(...buildVideoGraph(videoFilters, watermark, segments.length, encoding.outputSize, '[outv]'));
+  }
+
+  const args = ['-y', ...buildSegmentInputs(inputPath, segments)];
+  if (watermark) {
+    args.push('-i', toFilePath(watermark.imageUri));
+  }
+  args.push('-filter_complex', filters.join(';'), '-map', '[outv]', '-an');
+  if (encoding.format === 'WEBP') {
+    args.push('-c:v', 'libwebp', '-lossless', '0', '-quality', '75');
+  }
+  args.push('-loop', encoding.loop, outputPath);
+
+  return args;
+};
+
+/**
+ * Export one or more segments of a video joined into an animated GIF or WebP without audio
+ * @param {string} videoUri - Source video URI
+ * @param {object} options - Export options
+ * @param {Array} options.segments - Segments in output order
+ * @param {object} options.settings - Animation settings (format, frameRate, width, loop)
+ * @param {object} options.metadata - Source video metadata
+ * @param {object} options.edits - Clip edits; the crop, transform, grade and text overlays apply
+ * @param {object|null} options.watermark - Watermark laid over every frame, from getActiveWatermark
+ * @param {function} options.onProgress - Called with progress between 0 and 1
+ * @param {function} options.isCancelled - Returns true once the export should stop
+ * @param {function} options.onOutputUri - Called with the output URI before anything is written to it
+ * @returns {Promise<string>} URI of the exported file
+ */
+export const exportAnimation = async (videoUri, {
+  segments,
+  settings,
+  metadata = null,
+  edits = null,
+  watermark = null,
+  onProgress,
+  isCancelled,
+  onOutputUri,
+} = {}) => {
+  if (!videoUri) {
+    throw new Error('No video to export');
+  }
+  if (!validateSegments(segments)) {
+    throw new Error('Invalid trim segments');
+  }
+  await checkWatermarkImage(watermark);
+
+  const totalDuration = getSegmentsDuration(segments);
+  const encoding = getAnimationEncoding(getEditedMetadata(metadata, edits), settings);
+  const outputUri = await createOutputUri(encoding.extension);
+  if (onOutputUri) {
+    await onOutputUri(outputUri);
+  }
+  const textFiles = await prepareTextOverlays(edits, totalDuration);
+  const args = buildAnimationArguments(toFilePath(videoUri), segments, {
+    outputPath: toFilePath(outputUri),
+    encoding,
+    edits,
+    metadata,
+    textFiles,
+    watermark,
+  });
+
+  return runExport(args, outputUri, totalDuration, { onProgress, isCancelled, textFiles });
+};
+
+export default {
+  ExportCancelledError,
+  buildSegmentArguments,
+  exportVideo,
+  buildAnimationArguments,
+  exportAnimation,
+};
@@ -0,0 +1,145 @@
+// Metadata probing for selected videos
+import * as FileSystem from 'expo-file-system';
+import { probeMedia } from './ffmpegUtils';
+import { createVideoMetadata } from './videoUtils';
+
+/**
+ * Parse an FFprobe frame rate such as "30000/1001"
+ * @param {string} rate - Frame rate fraction or number
+ * @returns {number|null} Frames per second, or null if unknown
+ */
+export const parseFrameRate = (rate) => {
+  if (!rate) return null;
+
+  const [numerator, denominator = '1'] = String(rate).split('/');
+  const value = Number(numerator) / Number(denominator);
+  return Number.isFinite(value) && value > 0 ? Math.round(value * 100) / 100 : null;
+};
+
+/**
+ * Normalize a rotation angle to 0, 90, 180 or 270 degrees clockwise
+ * @param {number} degrees - Rotation in degrees
+ * @returns {number} Normalized rotation
+ */
+export const normalizeRotation = (degrees) => {
+  const rounded = Math.round((Number(degrees) || 0) / 90) * 90;
+  return ((rounded % 360) + 360) % 360;
+};
+
+/**
+ * Read the display rotation of a video stream
+ * Older files use a rotate tag, newer ones a display matrix side data entry
+ * @param {object} stream - FFprobe stream information
+ * @returns {number} Clockwise rotation in degrees
+ */
+const getStreamRotation = (stream) => {
+  const tags = stream.tags || {};
+  if (tags.rotate !== undefined) {
+    return normalizeRotation(tags.rotate);
+  }
+
+  const sideData = (stream.side_data_list || [])
+    .find(entry => entry.rotation !== undefined);
+  // Display matrix rotation is counter-clockwise
+  return sideData ? normalizeRotation(-sideData.rotation) : 0;
+};
+
+/**
+ * Read file size from the file system
+ * @param {string} uri - File URI
+ * @returns {Promise<number|null>} Size in bytes, or null if unavailable
+ */
+const getFileSize = async (uri) => {
+  try {
+    const info = await FileSystem.getInfoAsync(uri, { size: true });
+    return info.exists ? info.size : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Probe the stream details of a video with FFprobe
+ * @param {string} uri - Video URI
+ * @returns {Promise<object>} Duration, dimensions, frame rate, codecs, rotation, size and bitrate
+ */
+export const probeVideoDetails = async (uri) => {
+  const { format, streams } = await probeMedia(uri);
+  const videoStream = streams.find(stream => stream.codec_type === 'video');
+  const audioStream = streams.find(stream => stream.codec_type === 'audio');
+
+  if (!videoStream) {
+    throw new Error('No video stream found');
+  }
+
+  const duration = Math.round(Number(format.duration) * 1000);
+  const fileSize = Number(format.size);
+  const bitrate = Number(format.bit_rate);
+
+  return {
+    duration: Number.isFinite(duration) && duration > 0 ? duration : null,
+    width: videoStream.width,
+    height: videoStream.height,
+    frameRate: parseFrameRate(videoStream.avg_frame_rate) ||
+      parseFrameRate(videoStream.r_frame_rate),
+    codec: videoStream.codec_name,
+    audioCodec: audioStream ? audioStream.codec_name : null,
+    hasAudio: !!audioStream,
+    rotation: getStreamRotation(videoStream),
+    fileSize: Number.isFinite(fileSize) && fileSize > 0 ? fileSize : null,
+    bitrate: Number.isFinite(bitrate) && bitrate > 0 ? Math.round(bitrate / 1000) : null,
+    format: format.format_name,
+  };
+};
+
+/**
+ * Build full metadata for a picked video asset
+ *
+ * FFprobe values are preferred; picker values are only used when probing fails
+ * or leaves a field unknown.
+ *
+ * @param {object} asset - Image picker asset (uri, duration, width, height, fileSize)
+ * @returns {Promise<object>} Video metadata
+ */
+export const getVideoMetadata = async (asset) => {
+  let details = {};
+
+  try {
+    details = await probeVideoDetails(asset.uri);
+  } catch (error) {
+    console.log('Error probing video metadata:', error);
+  }
+
+  const duration = details.duration || asset.duration;
+  if (!duration) {
+    throw new Error('Could not determine video duration');
+  }
+
+  const fileSize = details.fileSize || asset.fileSize || await getFileSize(asset.uri);
+  const bitrate = details.bitrate ||
+    (fileSize ? Math.round((fileSize * 8) / duration) : null); // bytes/ms -> kbps
+
+  return createVideoMetadata(
+    asset.uri,
+    duration,
+    details.width || asset.width,
+    details.height || asset.height,
+    {
+      frameRate: details.frameRate || null,
+      codec: details.codec || null,
+      audioCodec: details.audioCodec || null,
+      hasAudio: details.hasAudio !== undefined ? details.hasAudio : true,
+      rotation: details.rotation || 0,
+      fileSize: fileSize || null,
+      bitrate,
+      format: details.format || null,
+    }
+  );
+};
+
+export default {
+  parseFrameRate,
+  normalizeRotation,
+  probeVideoDetails,
+  getVideoMetadata,
+};
@@ -30,13 +30,60 @@ export const formatLongTime = (timeInMillis) => {
 };
 
 /**
- * Convert time string (MM:SS) to milliseconds
- * @param {string} timeString - Time string in MM:SS format
- * @returns {number} Time in milliseconds
+ * Convert time string to milliseconds
+ * Accepts SS, MM:SS or HH:MM:SS, each with optional .mmm fraction
+ * @param {string} timeString - Time string, e.g. 01:02:03.456
+ * @returns {number} Time in milliseconds, or NaN if the string is invalid
  */
 export const timeStringToMillis = (timeString) => {
-  const [minutes, seconds] = timeString.split(':').map(Number);
-  return (minutes * 60 + seconds) * 1000;
+  const parts = String(timeString).trim().split(':');
+  if (parts.length > 3) return NaN;
+
+  const secondsMatch = /^(\d+)(?:\.(\d{1,3}))?$/.exec(parts.pop());
+  if (!secondsMatch || !parts.every(part => /^\d+$/.test(part))) return NaN;
+
+  const [hours = 0, minutes = 0] = parts.length === 2
+    ? parts.map(Number)
+    : [0, ...parts.map(Number)];
+  const seconds = Number(secondsMatch[1]);
+  const millis = Number((secondsMatch[2] || '').padEnd(3, '0'));
+
+  // Lower units must stay in range once a higher unit is given
+  if ((parts.length > 0 && seconds >= 60) || (parts.length === 2 && minutes >= 60)) {
+    return NaN;
+  }
+
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + millis;
+};
+
+/**
+ * Format time from milliseconds to HH:MM:SS.mmm format for exact entry
+ * @param {number} timeInMillis - Time in milliseconds
+ * @returns {string} Formatted time string
+ */
+export const formatTimestamp = (timeInMillis) => {
+  const total = Math.max(0, Math.round(timeInMillis));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:` +
+    `${seconds.toString().padStart(2, '0')}.${millis.toString().padStart(3, '0')}`;
+};
+
+/**
+ * Frame rate assumed when the source frame rate is unknown
+ */
+export const DEFAULT_FRAME_RATE = 30;
+
+/**
+ * Get the duration of a single frame
+ * @param {number} frameRate - Frames per second (default: 30)
+ * @returns {number} Frame duration in milliseconds
+ */
+export const getFrameDuration = (frameRate = DEFAULT_FRAME_RATE) => {
+  return 1000 / (frameRate > 0 ? frameRate : DEFAULT_FRAME_RATE);
 };
 
 /**
@@ -99,11 +146,11 @@ export const isValidVideoDuration = (duration, minDuration = 1000) => {
 /**
  * Get suggested trim points based on video duration
  * @param {number} videoDuration - Total video duration in milliseconds
+ * @param {number|null} maxDuration - Longest selection in milliseconds, or null for the full video
  * @returns {object} Object with suggested start and end times
  */
-export const getSuggestedTrimPoints = (videoDuration) => {
-  const maxTrimDuration = 30000; // 30 seconds max
-  const suggestedDuration = Math.min(videoDuration, maxTrimDuration);
+export const getSuggestedTrimPoints = (videoDuration, maxDuration = null) => {
+  const suggestedDuration = maxDuration ? Math.min(videoDuration, maxDuration) : videoDuration;
 
   return {
     startTime: 0,
@@ -142,10 +189,13 @@ export const clamp = (value, min, max) => {
  */
 export const debounce = (func, delay) => {
   let timeoutId;
-  return (...args) => {
+  const debounced = (...args) => {
     clearTimeout(timeoutId);
     timeoutId = setTimeout(() => func.apply(null, args), delay);
   };
+  // Drop a pending call, e.g. when the caller runs func directly instead
+  debounced.cancel = () => clearTimeout(timeoutId);
+  return debounced;
 };
 
 /**
@@ -154,17 +204,27 @@ export const debounce = (func, delay) => {
  * @param {number} duration - Video duration in milliseconds
  * @param {number} width - Video width
  * @param {number} height - Video height
+ * @param {object} details - Probed details (frameRate, codec, rotation, fileSize, bitrate, ...)
  * @returns {object} Video metadata object
  */
-export const createVideoMetadata = (uri, duration, width, height) => {
+export const createVideoMetadata = (uri, duration, width, height, details = {}) => {
+  // Rotated videos are displayed with width and height swapped
+  const isQuarterTurn = details.rotation === 90 || details.rotation === 270;
+  const displayWidth = isQuarterTurn ? height : width;
+  const displayHeight = isQuarterTurn ? width : height;
+
   return {
+    ...details,
     uri,
     duration,
     width,
     height,
-    aspectRatio: width / height,
+    displayWidth,
+    displayHeight,
+    aspectRatio: displayWidth / displayHeight,
+    resolutionName: getResolutionName(width, height),
     formattedDuration: formatTime(duration),
-    estimatedSize: estimateFileSize(duration),
+    estimatedSize: details.fileSize || estimateFileSize(duration, details.bitrate || undefined),
     isValid: isValidVideoDuration(duration),
     createdAt: new Date().toISOString(),
   };
@@ -224,15 +284,53 @@ export const VIDEO_RESOLUTIONS = {
  * @returns {string} Resolution name
  */
 export const getResolutionName = (width, height) => {
+  // Compare the shorter side so portrait and non-4:3 videos are named too
+  const shortSide = Math.min(width, height);
   const resolutions = Object.values(VIDEO_RESOLUTIONS);
-  const match = resolutions.find(res => res.width === width && res.height === height);
+  const match = resolutions.find(res => res.height === shortSide);
   return match ? match.name : `${width}x${height}`;
 };
 
+/**
+ * Format time from milliseconds to M:SS.s format for sub-second precision
+ * @param {number} timeInMillis - Time in milliseconds
+ * @returns {string} Formatted time string
+ */
+export const formatPreciseTime = (timeInMillis) => {
+  const tenths = Math.floor(timeInMillis / 100);
+  const minutes = Math.floor(tenths / 600);
+  const seconds = Math.floor((tenths % 600) / 10);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}.${tenths % 10}`;
+};
+
+/**
+ * Timeline tick intervals in milliseconds, from finest to coarsest
+ */
+export const TICK_INTERVALS = [
+  100, 200, 500, 1000, 2000, 5000, 10000, 15000, 30000,
+  60000, 120000, 300000, 600000, 900000, 1800000, 3600000,
+];
+
+/**
+ * Pick the finest tick interval that keeps ticks at least minSpacing pixels apart
+ * @param {number} visibleDuration - Visible timeline duration in milliseconds
+ * @param {number} width - Timeline width in pixels
+ * @param {number} minSpacing - Minimum pixel distance between ticks (default: 60)
+ * @returns {number} Tick interval in milliseconds
+ */
+export const getTickInterval = (visibleDuration, width, minSpacing = 60) => {
+  const pixelsPerMilli = width / visibleDuration;
+  const interval = TICK_INTERVALS.find(step => step * pixelsPerMilli >= minSpacing);
+  return interval || TICK_INTERVALS[TICK_INTERVALS.length - 1];
+};
+
 export default {
   formatTime,
   formatLongTime,
   timeStringToMillis,
+  formatTimestamp,
+  DEFAULT_FRAME_RATE,
+  getFrameDuration,
   validateTimeRange,
   calculateTrimmedDuration,
   estimateFileSize,
@@ -247,4 +345,7 @@ export default {
   VIDEO_FORMATS,
   VIDEO_RESOLUTIONS,
   getResolutionName,
+  formatPreciseTime,
+  TICK_INTERVALS,
+  getTickInterval,
 };
\ No newline at end of file
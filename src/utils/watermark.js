@@ -0,0 +1,221 @@
+// Default watermark laid over every export: a logo image in a corner of the frame
+import * as FileSystem from 'expo-file-system';
+import * as ImagePicker from 'expo-image-picker';
+
+/**
+ * File the watermark settings are persisted to, shared by every project
+ */
+export const WATERMARK_FILE = `${FileSystem.documentDirectory}watermark.json`;
+
+/**
+ * Directory picked watermark images are copied to so they outlive the picker's cache
+ */
+export const WATERMARK_DIRECTORY = `${FileSystem.documentDirectory}watermarks/`;
+
+/**
+ * Corners the watermark can be placed in
+ */
+export const WATERMARK_CORNERS = {
+  TOP_LEFT: { id: 'TOP_LEFT', name: 'Top Left', right: false, bottom: false },
+  TOP_RIGHT: { id: 'TOP_RIGHT', name: 'Top Right', right: true, bottom: false },
+  BOTTOM_LEFT: { id: 'BOTTOM_LEFT', name: 'Bottom Left', right: false, bottom: true },
+  BOTTOM_RIGHT: { id: 'BOTTOM_RIGHT', name: 'Bottom Right', right: true, bottom: true },
+};
+
+/**
+ * Watermark widths allowed, as a share of the frame width
+ */
+export const MIN_WATERMARK_SCALE = 0.05;
+export const MAX_WATERMARK_SCALE = 0.5;
+
+/**
+ * Gap between the watermark and the frame edges, as a share of the frame's shorter side
+ */
+export const WATERMARK_MARGIN = 0.04;
+
+export const DEFAULT_WATERMARK = {
+  enabled: true,
+  imageUri: null,
+  aspectRatio: 1,
+  corner: WATERMARK_CORNERS.BOTTOM_RIGHT.id,
+  opacity: 0.8,
+  scale: 0.2,
+};
+
+let watermarkCache = null;
+let writeQueue = Promise.resolve();
+
+/**
+ * Fill in and clamp saved watermark settings
+ * @param {object|null} watermark - Saved watermark settings
+ * @returns {object} Complete watermark settings
+ */
+export const resolveWatermark = (watermark) => {
+  const resolved = { ...DEFAULT_WATERMARK, ...watermark };
+  return {
+    ...resolved,
+    aspectRatio: resolved.aspectRatio > 0 ? resolved.aspectRatio : DEFAULT_WATERMARK.aspectRatio,
+    corner: WATERMARK_CORNERS[resolved.corner] ? resolved.corner : DEFAULT_WATERMARK.corner,
+    opacity: Math.min(1, Math.max(0, Number(resolved.opacity) || 0)),
+    scale: Math.min(MAX_WATERMARK_SCALE, Math.max(MIN_WATERMARK_SCALE, Number(resolved.scale) || 0)),
+  };
+};
+
+/**
+ * Load the default watermark
+ * @returns {Promise<object>} Watermark settings
+ */
+export const loadWatermark = async () => {
+  if (watermarkCache) {
+    return watermarkCache;
+  }
+
+  try {
+    const info = await FileSystem.getInfoAsync(WATERMARK_FILE);
+    watermarkCache = info.exists
+      ? resolveWatermark(JSON.parse(await FileSystem.readAsStringAsync(WATERMARK_FILE)))
+      : resolveWatermark(null);
+  } catch (error) {
+    console.log('Error loading watermark:', error);
+    watermarkCache = resolveWatermark(null);
+  }
+
+  return watermarkCache;
+};
+
+/**
+ * Change the default watermark and persist it
+ * An image that is replaced or removed is deleted.
+ * @param {object} changes - Settings to change
+ * @returns {Promise<object>} Updated watermark settings
+ */
+export const updateWatermark = async (changes) => {
+  const current = await loadWatermark();
+  const next = resolveWatermark({ ...current, ...changes });
+  watermarkCache = next;
+
+  if (current.imageUri && current.imageUri !== next.imageUri) {
+    try {
+      await FileSystem.deleteAsync(current.imageUri, { idempotent: true });
+    } catch (error) {
+      console.log('Error deleting watermark image:', error);
+    }
+  }
+
+  const contents = JSON.stringify(next);
+  writeQueue = writeQueue
+    .then(() => FileSystem.writeAsStringAsync(WATERMARK_FILE, contents))
+    .catch(error => console.log('Error saving watermark:', error));
+  await writeQueue;
+
+  return next;
+};
+
+/**
+ * Let the user pick a watermark image from the library and keep a copy of it
+ * @returns {Promise<object|null>} Image settings ({ imageUri, aspectRatio }), or null if the picker was cancelled
+ */
+export const pickWatermarkImage = async () => {
+  const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+  if (status !== 'granted') {
+    throw new Error('Media library permission not granted');
+  }
+
+  const result = await ImagePicker.launchImageLibraryAsync({
+    mediaTypes: ImagePicker.MediaTypeOptions.Images,
+    allowsEditing: false,
+    quality: 1,
+  });
+
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  const [asset] = result.assets;
+  const info = await FileSystem.getInfoAsync(WATERMARK_DIRECTORY);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(WATERMARK_DIRECTORY, { intermediates: true });
+  }
+
+  // PNGs keep their transparency, so the extension is carried over
+  const name = asset.fileName || asset.uri.split('/').pop() || '';
+  const extension = name.includes('.') ? name.slice(name.lastIndexOf('.')).toLowerCase() : '.png';
+  const imageUri = `${WATERMARK_DIRECTORY}watermark_${Date.now()}${extension}`;
+  await FileSystem.copyAsync({ from: asset.uri, to: imageUri });
+
+  return {
+    imageUri,
+    aspectRatio: asset.width > 0 && asset.height > 0 ? asset.width / asset.height : 1,
+  };
+};
+
+/**
+ * Get the watermark to apply to an export
+ * @param {object|null} watermark - Watermark settings
+ * @returns {object|null} The watermark, or null when it is off or has no image
+ */
+export const getActiveWatermark = (watermark) => {
+  return watermark?.enabled && watermark.imageUri ? watermark : null;
+};
+
+/**
+ * Lay out the watermark preview over the shown frame
+ * @param {object} watermark - Watermark settings
+ * @param {object} frame - Frame rect in the container (left, top, width, height)
+ * @returns {object} Image style (position, size and opacity)
+ */
+export const getWatermarkPreviewStyle = (watermark, frame) => {
+  const corner = WATERMARK_CORNERS[watermark.corner] || WATERMARK_CORNERS.BOTTOM_RIGHT;
+  const width = frame.width * watermark.scale;
+  const height = width / watermark.aspectRatio;
+  const margin = Math.min(frame.width, frame.height) * WATERMARK_MARGIN;
+
+  return {
+    position: 'absolute',
+    left: frame.left + (corner.right ? frame.width - width - margin : margin),
+    top: frame.top + (corner.bottom ? frame.height - height - margin : margin),
+    width,
+    height,
+    opacity: watermark.opacity,
+  };
+};
+
+/**
+ * Build the filter graph lines that lay the watermark over a video stream
+ * The image is its own FFmpeg input; overlay keeps showing its only frame for the whole clip.
+ * @param {object} watermark - Watermark settings
+ * @param {number} imageInput - Index of the watermark image input
+ * @param {object} frameSize - Size of the frame it is laid over ({ width, height })
+ * @param {string} inputLabel - Label of the video stream, such as [basev]
+ * @param {string} outputLabel - Label of the watermarked stream, such as [outv]
+ * @returns {string[]} Filter graph lines
+ */
+export const buildWatermarkFilters = (watermark, imageInput, frameSize, inputLabel, outputLabel) => {
+  const corner = WATERMARK_CORNERS[watermark.corner] || WATERMARK_CORNERS.BOTTOM_RIGHT;
+  const width = Math.max(2, Math.round(frameSize.width * watermark.scale));
+  const margin = Math.round(Math.min(frameSize.width, frameSize.height) * WATERMARK_MARGIN);
+  const x = corner.right ? `W-w-${margin}` : `${margin}`;
+  const y = corner.bottom ? `H-h-${margin}` : `${margin}`;
+
+  return [
+    `[${imageInput}:v]scale=${width}:-1,format=rgba,colorchannelmixer=aa=${watermark.opacity.toFixed(2)}[watermark]`,
+    `${inputLabel}[watermark]overlay=x=${x}:y=${y}${outputLabel}`,
+  ];
+};
+
+export default {
+  WATERMARK_FILE,
+  WATERMARK_DIRECTORY,
+  WATERMARK_CORNERS,
+  MIN_WATERMARK_SCALE,
+  MAX_WATERMARK_SCALE,
+  WATERMARK_MARGIN,
+  DEFAULT_WATERMARK,
+  resolveWatermark,
+  loadWatermark,
+  updateWatermark,
+  pickWatermarkImage,
+  getActiveWatermark,
+  getWatermarkPreviewStyle,
+  buildWatermarkFilters,
+};
@@ -0,0 +1,176 @@
+// Audio peak extraction for drawing waveforms, cached per video
+import * as FileSystem from 'expo-file-system';
+import { toFilePath, runFFmpeg, hasAudioStream } from './ffmpegUtils';
+import { getVideoCacheKey } from './thumbnailUtils';
+
+/**
+ * Directory computed waveforms are cached in
+ */
+export const WAVEFORM_CACHE_DIRECTORY = `${FileSystem.cacheDirectory}waveforms/`;
+
+/**
+ * Length of audio each peak covers, in milliseconds
+ */
+export const WAVEFORM_INTERVAL = 50;
+
+// Audio is resampled to this rate so each peak covers a whole number of samples
+const ANALYSIS_SAMPLE_RATE = 8000;
+const SAMPLES_PER_PEAK = (ANALYSIS_SAMPLE_RATE * WAVEFORM_INTERVAL) / 1000;
+
+const memoryCache = new Map();
+const pendingRequests = new Map();
+
+const ensureDirectory = async () => {
+  const info = await FileSystem.getInfoAsync(WAVEFORM_CACHE_DIRECTORY);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(WAVEFORM_CACHE_DIRECTORY, { intermediates: true });
+  }
+};
+
+/**
+ * Parse the per-chunk peak levels written by FFmpeg's ametadata filter
+ * @param {string} contents - ametadata output
+ * @returns {number[]} Peaks between 0 and 1
+ */
+export const parsePeakLevels = (contents) => {
+  const peaks = [];
+  const pattern = /Peak_level=(-?inf|-?[\d.]+)/g;
+  let match;
+
+  while ((match = pattern.exec(contents))) {
+    const decibels = Number(match[1].replace('inf', 'Infinity'));
+    const linear = Number.isFinite(decibels) ? Math.pow(10, decibels / 20) : 0;
+    peaks.push(Math.round(Math.min(1, linear) * 1000) / 1000);
+  }
+
+  return peaks;
+};
+
+/**
+ * Decode a video's audio with FFmpeg and measure the peak of each interval
+ * @param {string} videoUri - Video URI
+ * @param {string} levelsUri - Temporary file for the measured levels
+ * @returns {Promise<number[]>} Peaks between 0 and 1
+ */
+const computePeaks = async (videoUri, levelsUri) => {
+  const filter = [
+    `aresample=${ANALYSIS_SAMPLE_RATE}`,
+    'aformat=channel_layouts=mono',
+    `asetnsamples=n=${SAMPLES_PER_PEAK}:p=0`,
+    'astats=metadata=1:reset=1',
+    `ametadata=print:key=lavfi.astats.Overall.Peak_level:file=${toFilePath(levelsUri)}`,
+  ].join(',');
+
+  await runFFmpeg([
+    '-y',
+    '-i', toFilePath(videoUri),
+    '-vn',
+    '-af', filter,
+    '-f', 'null',
+    '-',
+  ]);
+
+  try {
+    return parsePeakLevels(await FileSystem.readAsStringAsync(levelsUri));
+  } finally {
+    await FileSystem.deleteAsync(levelsUri, { idempotent: true });
+  }
+};
+
+const loadWaveform = async (videoUri) => {
+  const key = getVideoCacheKey(videoUri);
+  const fileUri = `${WAVEFORM_CACHE_DIRECTORY}${key}.json`;
+
+  const cached = await FileSystem.getInfoAsync(fileUri);
+  if (cached.exists) {
+    return JSON.parse(await FileSystem.readAsStringAsync(fileUri));
+  }
+
+  await ensureDirectory();
+  const waveform = {
+    interval: WAVEFORM_INTERVAL,
+    peaks: await hasAudioStream(videoUri)
+      ? await computePeaks(videoUri, `${WAVEFORM_CACHE_DIRECTORY}${key}.txt`)
+      : [],
+  };
+
+  await FileSystem.writeAsStringAsync(fileUri, JSON.stringify(waveform));
+  return waveform;
+};
+
+/**
+ * Get the waveform of a video, computing it on first use
+ * Videos without audio get an empty peak list.
+ * @param {string} videoUri - Video URI
+ * @returns {Promise<object>} Waveform ({ interval, peaks })
+ */
+export const getWaveform = async (videoUri) => {
+  if (memoryCache.has(videoUri)) {
+    return memoryCache.get(videoUri);
+  }
+
+  // Share one decode between components asking for the same video
+  if (!pendingRequests.has(videoUri)) {
+    pendingRequests.set(videoUri, loadWaveform(videoUri)
+      .then(waveform => {
+        memoryCache.set(videoUri, waveform);
+        return waveform;
+      })
+      .finally(() => pendingRequests.delete(videoUri)));
+  }
+
+  return pendingRequests.get(videoUri);
+};
+
+/**
+ * Reduce the peaks within a time range to a fixed number of bars
+ * @param {object} waveform - Waveform ({ interval, peaks })
+ * @param {number} startTime - Range start in milliseconds
+ * @param {number} endTime - Range end in milliseconds
+ * @param {number} count - Number of bars
+ * @returns {number[]} Peak of each bar between 0 and 1
+ */
+export const getWaveformBars = (waveform, startTime, endTime, count) => {
+  const { interval, peaks } = waveform;
+  const barDuration = (endTime - startTime) / count;
+  const bars = [];
+
+  for (let i = 0; i < count; i++) {
+    const first = Math.floor((startTime + i * barDuration) / interval);
+    const last = Math.max(first + 1, Math.ceil((startTime + (i + 1) * barDuration) / interval));
+    let peak = 0;
+    for (let j = first; j < last && j < peaks.length; j++) {
+      if (peaks[j] > peak) peak = peaks[j];
+    }
+    bars.push(peak);
+  }
+
+  return bars;
+};
+
+/**
+ * Delete cached waveforms
+ * @param {string} videoUri - Only clear this video's waveform (default: all)
+ * @returns {Promise<void>}
+ */
+export const clearWaveformCache = async (videoUri) => {
+  if (videoUri) {
+    memoryCache.delete(videoUri);
+    await FileSystem.deleteAsync(
+      `${WAVEFORM_CACHE_DIRECTORY}${getVideoCacheKey(videoUri)}.json`,
+      { idempotent: true }
+    );
+  } else {
+    memoryCache.clear();
+    await FileSystem.deleteAsync(WAVEFORM_CACHE_DIRECTORY, { idempotent: true });
+  }
+};
+
+export default {
+  WAVEFORM_CACHE_DIRECTORY,
+  WAVEFORM_INTERVAL,
+  parsePeakLevels,
+  getWaveform,
+  getWaveformBars,
+  clearWaveformCache,
+};